@@ -0,0 +1,294 @@
+// Tab Talk AI providers
+// The model backends behind tab categorization, page summaries and discussion prompts; each turns a request into the model's reply text
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AIProviders = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Defaults for each provider; users can override the model and endpoint in Settings
+  //   gemini   Google's Gemini API, needs an API key
+  //   openai   any OpenAI-compatible chat completions API, e.g. Ollama or llama.cpp on localhost
+  //   mock     canned answers worked out from the request itself; no network, same answer every time
+  const PROVIDERS = {
+    gemini: {
+      label: 'Google Gemini',
+      endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+      model: 'gemini-2.0-flash',
+      requiresApiKey: true
+    },
+    openai: {
+      label: 'OpenAI-compatible',
+      endpoint: 'http://localhost:11434/v1',
+      model: 'llama3.2',
+      requiresApiKey: false
+    },
+    mock: {
+      label: 'Mock (offline)',
+      endpoint: '',
+      model: 'mock',
+      requiresApiKey: false
+    }
+  };
+
+  const DEFAULT_PROVIDER = 'gemini';
+  const MAX_OUTPUT_TOKENS = 8192;
+  // Name of the cluster for tabs a model could not be made to place
+  const UNCATEGORIZED = 'Uncategorized';
+  // Schema keywords Gemini's responseSchema understands; the rest (e.g. additionalProperties) is left out
+  const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required', 'minItems', 'maxItems'];
+
+  // Fill in defaults for stored settings ({ provider, model, endpoint, apiKey })
+  // Older versions only stored geminiApiKey, which still counts as the Gemini key
+  function normalizeSettings(settings = {}, legacyApiKey = '') {
+    const provider = PROVIDERS[settings.provider] ? settings.provider : DEFAULT_PROVIDER;
+    const defaults = PROVIDERS[provider];
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+
+    return {
+      provider,
+      model: text(settings.model) || defaults.model,
+      endpoint: (text(settings.endpoint) || defaults.endpoint).replace(/\/+$/, ''),
+      apiKey: text(settings.apiKey) || (provider === 'gemini' ? text(legacyApiKey) : '')
+    };
+  }
+
+  // Why a provider can't be used with these settings, or null if it can
+  function checkSettings(settings) {
+    const defaults = PROVIDERS[settings.provider];
+    if (!defaults) return 'unknown_provider';
+    if (defaults.requiresApiKey && !settings.apiKey) return 'api_key_required';
+    if (settings.provider !== 'mock' && !/^https?:\/\//.test(settings.endpoint)) return 'invalid_endpoint';
+    return null;
+  }
+
+  // Requests may carry a JSON Schema for the reply; Gemini wants its own dialect of it
+  function toGeminiSchema(schema) {
+    const converted = {};
+    GEMINI_SCHEMA_KEYS.filter(key => key in schema).forEach(key => {
+      converted[key] = schema[key];
+    });
+    converted.type = schema.type.toUpperCase();
+    if (schema.enum) converted.format = 'enum';
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    }
+    return converted;
+  }
+
+  // Why value doesn't match a JSON Schema (the subset the requests use), or null if it does
+  // Providers that ignore the schema, or honor it loosely, get caught here
+  function checkSchema(value, schema, path = 'reply') {
+    switch (schema.type) {
+      case 'object': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+        const missing = (schema.required || []).find(name => !(name in value));
+        if (missing) return `${path} is missing "${missing}"`;
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          const problem = name in value ? checkSchema(value[name], property, `${path}.${name}`) : null;
+          if (problem) return problem;
+        }
+        return null;
+      }
+      case 'array': {
+        if (!Array.isArray(value)) return `${path} must be an array`;
+        if (schema.minItems && value.length < schema.minItems) return `${path} needs at least ${schema.minItems} items`;
+        for (let i = 0; i < value.length; i++) {
+          const problem = checkSchema(value[i], schema.items, `${path}[${i}]`);
+          if (problem) return problem;
+        }
+        return null;
+      }
+      case 'integer':
+        return Number.isInteger(value) ? null : `${path} must be an integer`;
+      case 'string':
+        if (typeof value !== 'string') return `${path} must be a string`;
+        if (schema.enum && !schema.enum.includes(value)) return `${path} must be one of ${schema.enum.join(', ')}`;
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  async function postJSON(url, headers, body, providerLabel) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`${providerLabel} API error: ${errorData.error?.message || response.statusText}`);
+    }
+    return response.json();
+  }
+
+  function createGeminiProvider(settings) {
+    return {
+      id: 'gemini',
+      model: settings.model,
+      async generateText({ prompt, temperature, schema }) {
+        const data = await postJSON(
+          `${settings.endpoint}/models/${encodeURIComponent(settings.model)}:generateContent`,
+          { 'x-goog-api-key': settings.apiKey },
+          {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+              temperature,
+              topK: 40,
+              topP: 0.95,
+              maxOutputTokens: MAX_OUTPUT_TOKENS,
+              ...(schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) } : {})
+            },
+            safetySettings: [
+              'HARM_CATEGORY_HARASSMENT',
+              'HARM_CATEGORY_HATE_SPEECH',
+              'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+              'HARM_CATEGORY_DANGEROUS_CONTENT'
+            ].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }))
+          },
+          'Gemini'
+        );
+
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (typeof text !== 'string') {
+          throw new Error(`Gemini returned no text (${data.candidates?.[0]?.finishReason || 'no candidates'})`);
+        }
+        return text;
+      }
+    };
+  }
+
+  function createOpenAIProvider(settings) {
+    return {
+      id: 'openai',
+      model: settings.model,
+      async generateText({ prompt, temperature, task, schema }) {
+        const data = await postJSON(
+          `${settings.endpoint}/chat/completions`,
+          settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+          {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            max_tokens: MAX_OUTPUT_TOKENS,
+            ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: task || 'reply', schema, strict: true } } } : {})
+          },
+          'OpenAI-compatible'
+        );
+
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+          throw new Error('OpenAI-compatible API returned no message');
+        }
+        return text;
+      }
+    };
+  }
+
+  function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  // The site name of a URL without "www." and the top-level domain, e.g. "Github" for github.com
+  function siteName(url) {
+    try {
+      const parts = new URL(url).hostname.replace(/^www\./, '').split('.');
+      return capitalize(parts.length > 1 ? parts[parts.length - 2] : parts[0]);
+    } catch (error) {
+      return 'Other';
+    }
+  }
+
+  // Answers in the format the real prompts ask for, so the callers' parsing runs as it would against a model
+  function createMockProvider() {
+    const tasks = {
+      'categorize-tabs': tabs => {
+        const clusters = new Map();
+        tabs.forEach(tab => {
+          const name = siteName(tab.url);
+          if (!clusters.has(name)) clusters.set(name, []);
+          clusters.get(name).push(tab.index);
+        });
+        return JSON.stringify({
+          clusters: [...clusters.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, indices]) => ({ name, tabs: indices, theme: `Pages from ${name}` }))
+        });
+      },
+      // Tabs go to the category named after their site, or to a new one if there is none yet
+      'classify-tabs': ({ categories, tabs }) => {
+        const assignments = [];
+        const newCategories = new Map();
+        tabs.forEach(tab => {
+          const name = siteName(tab.url);
+          const existing = categories.find(category => category.name === name);
+          if (existing) {
+            assignments.push({ tab: tab.index, category: existing.id });
+          } else {
+            if (!newCategories.has(name)) newCategories.set(name, []);
+            newCategories.get(name).push(tab.index);
+          }
+        });
+        return JSON.stringify({
+          assignments,
+          newCategories: [...newCategories.entries()]
+            .map(([name, indices]) => ({ name, tabs: indices, theme: `Pages from ${name}` }))
+        });
+      },
+      'generate-discussion-prompts': cluster => {
+        const first = cluster.titles[0] || cluster.name;
+        return [
+          `What is the most useful idea in "${first}"?`,
+          `How do the ${cluster.titles.length} pages in ${cluster.name} relate to each other?`,
+          `What should the group look into next about ${cluster.name}?`
+        ].join('\n');
+      },
+      // The first two sentences of the page
+      'summarize-page': page => (page.text.match(/[^.!?]+[.!?]+/g) || [page.text]).slice(0, 2).join('').trim()
+    };
+
+    return {
+      id: 'mock',
+      model: 'mock',
+      async generateText({ task, input }) {
+        if (!tasks[task]) {
+          throw new Error(`Mock provider can't answer ${task}`);
+        }
+        return tasks[task](input);
+      }
+    };
+  }
+
+  // The provider for normalized settings; throws if checkSettings would reject them
+  function createProvider(settings) {
+    const problem = checkSettings(settings);
+    if (problem) {
+      throw new Error(`Can't use the ${settings.provider} AI provider: ${problem}`);
+    }
+
+    switch (settings.provider) {
+      case 'gemini':
+        return createGeminiProvider(settings);
+      case 'openai':
+        return createOpenAIProvider(settings);
+      default:
+        return createMockProvider();
+    }
+  }
+
+  return {
+    PROVIDERS,
+    UNCATEGORIZED,
+    checkSchema,
+    normalizeSettings,
+    checkSettings,
+    createProvider
+  };
+});
@@ -1,6 +1,8 @@
 // AI-Based Collaborative Tab Orchestra - Service Worker
 // Handles real-time communication, AI processing, and tab management
 
+importScripts('protocol.js', 'group-crypto.js', 'ai-providers.js', 'topic-clustering.js');
+
 let wsConnection = null;
 let currentGroupId = null;
 let aiSessions = {};
@@ -17,7 +19,9 @@ chrome.runtime.onInstalled.addListener(async () => {
     userPreferences: {
       autoShare: false,
       aiEnabled: true,
-      privacyMode: 'selective'
+      privacyMode: 'selective',
+      allowedDomains: [],
+      blockedDomains: DEFAULT_BLOCKED_DOMAINS
     }
   });
 
@@ -28,66 +32,138 @@ chrome.runtime.onInstalled.addListener(async () => {
   });
 });
 
-// Connection state tracking
-let connectionAttemptInProgress = false;
-let lastConnectionAttempt = 0;
-const CONNECTION_COOLDOWN = 5000; // 5 seconds between connection attempts
+// Connection state machine, reported to the UI with every change and by 'connection_status':
+//   disconnected -> connecting -> connected (socket open) -> ready (session and groups restored)
+//   a failed or lost connection is 'waiting' until its backoff delay is over, then connects again
+//   'blocked' means retrying can't help until the user acts: update the extension or fix the server profile
+let connectionState = { status: 'disconnected', attempt: 0, nextRetryAt: null, lastError: null, since: Date.now() };
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+// Alarms fire at most this often, so shorter delays use a timer with the alarm as a backstop
+const MIN_ALARM_DELAY = 30 * 1000;
+const RECONNECT_ALARM = 'reconnect';
+const KEEPALIVE_ALARM = 'keepalive';
+// Socket traffic this often also keeps Chrome from suspending the service worker
+const HEARTBEAT_INTERVAL = 20 * 1000;
+// A socket that has been silent this long is treated as dead
+const CONNECTION_TIMEOUT = 90 * 1000;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let lastMessageAt = 0;
+// Set when the server no longer accepts our protocol version; we stop reconnecting until the extension updates
+let updateRequired = false;
+// Set when the server refused the active profile's token; we stop reconnecting until the profile changes
+let authRejected = false;
+
+// The backoff carries on across service worker restarts
+const connectionStateLoaded = chrome.storage.session.get(['connectionState']).then(({ connectionState: saved }) => {
+  if (!saved || connectionState.status !== 'disconnected') return;
+
+  connectionState = {
+    ...connectionState,
+    attempt: saved.attempt || 0,
+    lastError: saved.lastError || null,
+    ...(saved.status === 'waiting' && { status: 'waiting', nextRetryAt: saved.nextRetryAt })
+  };
+});
+
+function isConnected() {
+  return connectionState.status === 'connected' || connectionState.status === 'ready';
+}
+
+function setConnectionState(status, changes = {}) {
+  connectionState = { ...connectionState, ...changes, status, since: Date.now() };
+  chrome.storage.session.set({ connectionState });
+
+  try {
+    chrome.runtime.sendMessage({
+      type: 'connection_status_changed',
+      connected: isConnected(),
+      error: connectionState.lastError,
+      state: connectionState
+    }).catch(() => {
+      // Ignore errors when no receivers are available
+      console.log('No receivers for connection status message');
+    });
+  } catch (error) {
+    // Ignore errors when sending messages
+    console.log('Error sending connection status message');
+  }
+}
+
+// Exponential backoff with jitter: half of each delay is fixed, half random, so clients don't retry in lockstep
+function reconnectDelay(attempt) {
+  const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** (attempt - 1));
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+function scheduleReconnect(error) {
+  const attempt = connectionState.attempt + 1;
+  const delay = reconnectDelay(attempt);
+  setConnectionState('waiting', { attempt, nextRetryAt: Date.now() + delay, lastError: error });
+  console.log(`🔁 Reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempt})`);
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(reconnectNow, delay);
+  // The timer dies with the service worker; the alarm wakes it up again
+  chrome.alarms.create(RECONNECT_ALARM, { when: Date.now() + Math.max(delay, MIN_ALARM_DELAY) });
+}
+
+// Connect without waiting out the rest of the backoff delay
+function reconnectNow() {
+  if (connectionState.status === 'waiting') {
+    connectionState.nextRetryAt = null;
+  }
+  initializeWebSocket();
+}
 
-// Enhanced WebSocket connection with detailed logging and better error handling
+// Open a connection to the active server profile, unless one is open or being opened
+// While waiting out a backoff delay this does nothing until the delay is over
 async function initializeWebSocket() {
-  // Prevent multiple simultaneous connection attempts
-  if (connectionAttemptInProgress) {
-    console.log('⏳ Connection attempt already in progress, skipping...');
+  await connectionStateLoaded;
+
+  if (updateRequired) {
+    console.log('⛔ Extension update required, not connecting');
     return;
   }
-  
-  // Implement connection cooldown to prevent rapid reconnection attempts
-  const now = Date.now();
-  if (now - lastConnectionAttempt < CONNECTION_COOLDOWN) {
-    console.log('⏳ Connection attempt too soon, waiting for cooldown...');
+  if (authRejected) {
+    console.log('⛔ Server refused our token, not connecting until the server profile changes');
     return;
   }
-  
+  if (['connecting', 'connected', 'ready'].includes(connectionState.status)) {
+    console.log(`⏳ Connection is ${connectionState.status}, skipping...`);
+    return;
+  }
+  if (connectionState.status === 'waiting' && connectionState.nextRetryAt && Date.now() < connectionState.nextRetryAt) {
+    console.log('⏳ Waiting for the reconnect delay to pass...');
+    return;
+  }
+
+  clearTimeout(reconnectTimer);
+  chrome.alarms.clear(RECONNECT_ALARM);
+  setConnectionState('connecting', { nextRetryAt: null });
+
   try {
-    connectionAttemptInProgress = true;
-    lastConnectionAttempt = now;
-    
-    // Close existing connection if any
-    if (wsConnection) {
-      console.log('🔄 Closing existing connection...');
-      wsConnection.close();
-    }
-    
-    console.log('🔄 Attempting WebSocket connection...');
-    wsConnection = new WebSocket('ws://localhost:8080');
-    
-    wsConnection.onopen = () => {
+    const { active } = await getServerProfiles();
+    console.log(`🔄 Attempting WebSocket connection to ${active.label} (${active.url})...`);
+    const socket = new WebSocket(buildServerUrl(active), buildSubprotocols(active));
+    wsConnection = socket;
+
+    // Events of a socket we already gave up on are ignored
+    socket.onopen = () => {
+      if (socket !== wsConnection) return;
       console.log('✅ WebSocket connected successfully');
-      console.log('📡 Connection state:', wsConnection.readyState);
-      
-      // Notify UI components about connection status
-      try {
-        chrome.runtime.sendMessage({
-          type: 'connection_status_changed',
-          connected: true
-        }).catch(() => {
-          // Ignore errors when no receivers are available
-          console.log('No receivers for connection status message');
-        });
-      } catch (error) {
-        // Ignore errors when sending messages
-        console.log('Error sending connection status message');
-      }
-      
-      // If we have a current group, rejoin it
-      if (currentGroupId) {
-        joinGroup(currentGroupId);
-      }
-      
-      sendHeartbeat();
+
+      lastMessageAt = Date.now();
+      setConnectionState('connected');
+      // Groups are rejoined once the server's welcome message arrives (see handleWelcome)
+      startHeartbeat();
     };
-    
-    wsConnection.onmessage = (event) => {
+
+    socket.onmessage = (event) => {
+      if (socket !== wsConnection) return;
+      lastMessageAt = Date.now();
+
       try {
         const message = JSON.parse(event.data);
         
@@ -95,342 +171,1826 @@ async function initializeWebSocket() {
         if (message.type !== 'pong') {
           console.log('📨 Received message:', message);
         }
+
+        const problem = TabTalkProtocol.validateServerMessage(message);
+        if (problem) {
+          console.warn(`⚠️ Ignoring ${problem.code} server message:`, problem.details);
+          return;
+        }
         
         handleWebSocketMessage(message);
       } catch (e) {
         console.error('❌ Failed to parse message:', e);
       }
     };
-    
-    wsConnection.onclose = (event) => {
+
+    socket.onclose = (event) => {
+      if (socket !== wsConnection) return;
       console.log('❌ WebSocket disconnected, code:', event.code, 'reason:', event.reason);
-      
-      // Notify UI components about connection status
-      try {
-        chrome.runtime.sendMessage({
-          type: 'connection_status_changed',
-          connected: false
-        }).catch(() => {
-          // Ignore errors when no receivers are available
-          console.log('No receivers for connection status message');
-        });
-      } catch (error) {
-        // Ignore errors when sending messages
-        console.log('Error sending connection status message');
+      releaseConnection();
+
+      // 4001: the server turned away our protocol version, so retrying can't help
+      if (event.code === 4001) {
+        handleUpdateRequired();
+        return;
       }
-      
-      // Attempt to reconnect after a delay
-      setTimeout(initializeWebSocket, 3000);
+
+      // 4003: the server wants a token we don't have; retrying can't help until the profile changes
+      if (event.code === 4003) {
+        handleAuthRejected();
+        return;
+      }
+
+      scheduleReconnect(event.reason || connectionState.lastError || `Connection closed (${event.code})`);
     };
-    
-    wsConnection.onerror = (error) => {
+
+    // A close event always follows, which schedules the reconnect
+    socket.onerror = (error) => {
+      if (socket !== wsConnection) return;
       console.error('🔥 WebSocket error:', error);
-      
-      // Notify UI components about connection error
-      try {
-        chrome.runtime.sendMessage({
-          type: 'connection_status_changed',
-          connected: false,
-          error: 'Connection error'
-        }).catch(() => {
-          // Ignore errors when no receivers are available
-          console.log('No receivers for connection status message');
-        });
-      } catch (error) {
-        // Ignore errors when sending messages
-        console.log('Error sending connection status message');
-      }
+      connectionState.lastError = 'Connection error';
     };
   } catch (error) {
     console.error('❌ Failed to initialize WebSocket:', error);
-    
-    // Notify UI components about connection error
-    try {
-      chrome.runtime.sendMessage({
-        type: 'connection_status_changed',
-        connected: false,
-        error: error.message
-      }).catch(() => {
-        // Ignore errors when no receivers are available
-        console.log('No receivers for connection status message');
+    wsConnection = null;
+    scheduleReconnect(error.message);
+  }
+}
+
+// Forget the current socket; whatever was in flight is resent once the next connection is ready
+function releaseConnection() {
+  wsConnection = null;
+  stopHeartbeat();
+  resetOutbox();
+}
+
+// Close the current socket ourselves and ignore its events from now on
+function dropConnection() {
+  const socket = wsConnection;
+  releaseConnection();
+  if (socket) {
+    socket.close();
+  }
+}
+
+// The session is back and our groups are rejoined, so queued messages can go
+function handleConnectionReady() {
+  setConnectionState('ready', { attempt: 0, lastError: null });
+  outboxReady = true;
+  flushOutbox();
+}
+
+// Server profiles are stored as serverProfiles: [{ id, label, url, token }] with activeServerProfileId
+const DEFAULT_SERVER_PROFILE = { id: 'local', label: 'Local server', url: 'ws://localhost:8080', token: '' };
+// Everything we keep about one server: our session there, its groups and what we cached from them
+const SERVER_SCOPED_KEYS = [
+  'session', 'userGroups', 'activeGroupId', 'groupCredentials', 'groupSecrets', 'groupSeq', 'groups', 'groupRosters',
+  'groupModeration', 'sharedTabs', 'annotations', 'discussions', 'discussionReads', 'aiClusters', 'clusterState',
+  'outbox', 'serverIdentity', 'pendingCreates'
+];
+
+async function getServerProfiles() {
+  const { serverProfiles = [], activeServerProfileId } =
+    await chrome.storage.local.get(['serverProfiles', 'activeServerProfileId']);
+  const profiles = serverProfiles.length > 0 ? serverProfiles : [DEFAULT_SERVER_PROFILE];
+  const active = profiles.find(profile => profile.id === activeServerProfileId) || profiles[0];
+  return { profiles, active };
+}
+
+function buildServerUrl(profile) {
+  const url = new URL(profile.url);
+  url.searchParams.set('protocol', TabTalkProtocol.PROTOCOL_VERSION);
+  return url.toString();
+}
+
+// The server token travels as a subprotocol, since a WebSocket can't carry headers and URLs end up in logs
+function buildSubprotocols(profile) {
+  const protocols = [TabTalkProtocol.SUBPROTOCOL];
+  if (profile.token) {
+    protocols.push(TabTalkProtocol.tokenSubprotocol(profile.token));
+  }
+  return protocols;
+}
+
+// Accept ws(s):// URLs, or http(s):// ones pasted from a browser; returns the normalized URL or null
+function normalizeServerUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    return null;
+  }
+
+  const schemes = { 'ws:': 'ws:', 'wss:': 'wss:', 'http:': 'ws:', 'https:': 'wss:' };
+  if (!schemes[url.protocol]) return null;
+
+  url.protocol = schemes[url.protocol];
+  url.search = '';
+  url.hash = '';
+  return url.toString().replace(/\/$/, '');
+}
+
+// Add a server profile or change an existing one; returns { profile } or { error }
+async function saveServerProfile(input = {}) {
+  const url = normalizeServerUrl(input.url);
+  if (!url) {
+    return { error: 'invalid_url' };
+  }
+  if (url.startsWith('ws:') && !/^ws:\/\/(localhost|127\.0\.0\.1)([:/]|$)/.test(url)) {
+    console.warn('⚠️ Server profile uses unencrypted ws:// to a remote host:', url);
+  }
+
+  const { profiles, active } = await getServerProfiles();
+  const profile = {
+    id: input.id || crypto.randomUUID(),
+    label: String(input.label || '').trim() || new URL(url).host,
+    url,
+    token: String(input.token || '').trim()
+  };
+
+  const index = profiles.findIndex(entry => entry.id === profile.id);
+  const serverProfiles = index === -1
+    ? [...profiles, profile]
+    : profiles.map(entry => (entry.id === profile.id ? profile : entry));
+  await chrome.storage.local.set({ serverProfiles });
+  notifyUI('server_profiles_updated', { profiles: serverProfiles, activeProfileId: active.id });
+
+  // A new URL or token for the server we use takes effect right away
+  if (profile.id === active.id) {
+    reconnectWebSocket();
+  }
+  return { profile };
+}
+
+async function deleteServerProfile(profileId) {
+  const { profiles, active } = await getServerProfiles();
+  if (!profiles.some(profile => profile.id === profileId)) {
+    return { error: 'profile_not_found' };
+  }
+  if (profiles.length === 1) {
+    return { error: 'last_profile' };
+  }
+
+  const serverProfiles = profiles.filter(profile => profile.id !== profileId);
+  if (profileId === active.id) {
+    await switchServerProfile(serverProfiles[0].id);
+  }
+
+  const { serverStates = {} } = await chrome.storage.local.get(['serverStates']);
+  delete serverStates[profileId];
+  await chrome.storage.local.set({ serverProfiles, serverStates });
+  notifyUI('server_profiles_updated', { profiles: serverProfiles, activeProfileId: serverProfiles[0].id });
+  return { deleted: profileId };
+}
+
+// Connect to another server; our groups and cached data for the old one are put aside until we switch back
+async function switchServerProfile(profileId) {
+  const { profiles, active } = await getServerProfiles();
+  const next = profiles.find(profile => profile.id === profileId);
+  if (!next) {
+    return { error: 'profile_not_found' };
+  }
+  if (next.id === active.id) {
+    return { profile: next };
+  }
+
+  console.log(`🔀 Switching server from ${active.label} to ${next.label}`);
+  const stored = await chrome.storage.local.get([...SERVER_SCOPED_KEYS, 'serverStates']);
+  const serverStates = stored.serverStates || {};
+  serverStates[active.id] = Object.fromEntries(SERVER_SCOPED_KEYS.map(key => [key, stored[key]]));
+
+  const restored = serverStates[next.id] || {};
+  delete serverStates[next.id];
+  await chrome.storage.local.remove(SERVER_SCOPED_KEYS);
+  await chrome.storage.local.set({
+    ...Object.fromEntries(SERVER_SCOPED_KEYS.filter(key => restored[key] !== undefined).map(key => [key, restored[key]])),
+    serverStates,
+    serverProfiles: profiles,
+    activeServerProfileId: next.id
+  });
+
+  groupSeq = restored.groupSeq || {};
+  pendingSyncs.clear();
+  await setActiveGroup(restored.activeGroupId || (restored.userGroups || [])[0] || null);
+  pushAnnotationsToTabs();
+  notifyUnreadCounts();
+  notifyUI('server_profiles_updated', { profiles, activeProfileId: next.id });
+
+  reconnectWebSocket();
+  return { profile: next };
+}
+
+// Drop the current connection without the usual delayed retry and connect with the active profile
+function reconnectWebSocket() {
+  authRejected = false;
+  dropConnection();
+  clearTimeout(reconnectTimer);
+  setConnectionState('disconnected', { attempt: 0, nextRetryAt: null, lastError: null });
+  initializeWebSocket();
+}
+
+// The active server profile's token was missing or wrong
+async function handleAuthRejected() {
+  authRejected = true;
+  setConnectionState('blocked', { nextRetryAt: null, lastError: 'unauthorized' });
+  const { active } = await getServerProfiles();
+  console.warn(`⛔ ${active.label} refused our token, check the server profile`);
+  notifyUI('server_auth_failed', {
+    profileId: active.id,
+    message: TabTalkProtocol.ERROR_CODES.unauthorized
+  });
+}
+
+// Enhanced message handling from UI
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log('📬 Received UI message:', message);
+  
+  switch (message.type) {
+    case 'join_group':
+      console.log('🏠 Joining group:', message.groupId);
+      // The secret of an encrypted group is kept here and never sent to the server
+      (message.groupSecret ? rememberJoinSecret(message.groupId, message.groupSecret) : Promise.resolve()).then(() => joinGroup(message.groupId, {
+        passphrase: message.passphrase,
+        inviteToken: message.inviteToken
+      }));
+      break;
+    case 'create_group':
+      console.log('🆕 Creating group:', message.groupId);
+      createGroup(message.groupId, {
+        passphrase: message.passphrase,
+        inviteOnly: message.inviteOnly,
+        encrypted: message.encrypted,
+        groupSecret: message.groupSecret
       });
-    } catch (error) {
-      // Ignore errors when sending messages
-      console.log('Error sending connection status message');
+      break;
+    case 'get_group_secret':
+      getGroupSecret(message.groupId).then(sendResponse);
+      return true;
+    case 'rotate_group_key':
+      rotateGroupKey(message.groupId || currentGroupId).then(sendResponse);
+      return true;
+    case 'create_invite':
+      console.log('✉️ Creating invite for group:', message.groupId || currentGroupId);
+      createInvite(message.expiresIn, message.groupId);
+      break;
+    case 'leave_group':
+      leaveGroup(message.groupId);
+      break;
+    case 'set_active_group':
+      setActiveGroup(message.groupId);
+      break;
+    case 'get_groups':
+      getGroups(sendResponse);
+      return true;
+    case 'update_tab':
+      console.log('✏️ Updating shared tab:', message.tabId);
+      updateSharedTab(message.tabId, message.changes, message.groupId);
+      break;
+    case 'remove_tab':
+      console.log('🗑️ Removing shared tab:', message.tabId);
+      removeSharedTab(message.tabId, message.groupId);
+      break;
+    case 'react_tab':
+      sendToServer({
+        type: 'react_tab',
+        groupId: message.groupId || currentGroupId,
+        tabId: message.tabId,
+        emoji: message.emoji
+      });
+      break;
+    case 'vote_tab':
+      sendToServer({
+        type: 'vote_tab',
+        groupId: message.groupId || currentGroupId,
+        tabId: message.tabId,
+        value: message.value
+      });
+      break;
+    case 'set_cluster_order':
+      setClusterOrder(message.order);
+      break;
+    case 'set_member_role':
+      sendModerationAction('set_member_role', message.groupId, { userId: message.userId, role: message.role });
+      break;
+    case 'kick_member':
+    case 'ban_member':
+    case 'unban_member':
+      sendModerationAction(message.type, message.groupId, { userId: message.userId });
+      break;
+    case 'lock_group':
+      sendModerationAction('lock_group', message.groupId, { locked: message.locked });
+      break;
+    case 'get_moderation':
+      getModeration(message.groupId).then(sendResponse);
+      return true;
+    case 'get_page_annotations':
+      getPageAnnotations(message.url || sender.tab?.url, sendResponse);
+      return true;
+    case 'create_annotation':
+      console.log('🖋 Creating annotation');
+      createAnnotation(message.url || sender.tab?.url, message.selector, message.text, message.groupIds);
+      break;
+    case 'reply_annotation':
+      sendAnnotationAction('annotation_reply', message.groupId, {
+        annotationId: message.annotationId,
+        id: crypto.randomUUID(),
+        text: message.text
+      });
+      break;
+    case 'edit_annotation':
+      sendAnnotationAction('annotation_edit', message.groupId, {
+        annotationId: message.annotationId,
+        replyId: message.replyId,
+        text: message.text
+      });
+      break;
+    case 'delete_annotation':
+      sendAnnotationAction('annotation_delete', message.groupId, {
+        annotationId: message.annotationId,
+        replyId: message.replyId
+      });
+      break;
+    case 'resolve_annotation':
+      sendAnnotationAction('annotation_resolve', message.groupId, {
+        annotationId: message.annotationId,
+        resolved: message.resolved
+      });
+      break;
+    case 'send_chat_message':
+      sendChatMessage(message.groupId, message.thread, message.text);
+      break;
+    case 'get_chat_messages':
+      getChatMessages(message.groupId, message.thread).then(sendResponse);
+      return true;
+    case 'mark_thread_read':
+      markThreadRead(message.groupId, message.thread);
+      break;
+    case 'get_unread_counts':
+      getUnreadCounts().then(sendResponse);
+      return true;
+    case 'get_outbox':
+      chrome.storage.local.get(['outbox']).then(({ outbox = [] }) => sendResponse(outbox));
+      return true;
+    case 'retry_outbox_entry':
+      retryOutboxEntry(message.id);
+      break;
+    case 'discard_outbox_entry':
+      discardOutboxEntry(message.id);
+      break;
+    case 'get_profile':
+      getUserProfile().then(sendResponse);
+      return true;
+    case 'update_profile':
+      console.log('🪪 Updating profile');
+      updateUserProfile(message.profile).then(sendResponse);
+      return true;
+    case 'share_current_tab':
+      console.log('📤 Sharing current tab');
+      shareCurrentTab(message.groupIds);
+      break;
+    case 'get_privacy_settings':
+      getPrivacySettings().then(sendResponse);
+      return true;
+    case 'update_privacy_settings':
+      updatePrivacySettings(message.settings).then(sendResponse);
+      return true;
+    case 'get_tab_privacy':
+      getTabPrivacy(message.tabId).then(sendResponse);
+      return true;
+    case 'set_never_share':
+      getTabPrivacy(message.tabId)
+        .then(({ tabId }) => tabId && setNeverShare(tabId, message.neverShare))
+        .then(() => getTabPrivacy(message.tabId))
+        .then(sendResponse);
+      return true;
+    case 'generate_discussion_prompt':
+      console.log('💡 Generating discussion prompt');
+      generateDiscussionPrompt(message.clusterData, sendResponse);
+      return true; // Indicate we'll send response asynchronously
+      break;
+    case 'get_clusters':
+      console.log('📊 Getting clusters');
+      getClusters(sendResponse);
+      return true;
+    case 'recluster':
+      console.log('📊 Reclustering the active group');
+      reclusterActiveGroup().then(sendResponse);
+      return true;
+    case 'initialize_websocket':
+      console.log('🔌 Initializing WebSocket');
+      // Asking explicitly skips whatever is left of the reconnect delay
+      reconnectNow();
+      break;
+    case 'connection_status':
+      getServerProfiles().then(({ active }) => {
+        sendResponse({
+          connected: isConnected(),
+          state: connectionState,
+          updateRequired: updateRequired,
+          authRejected: authRejected,
+          server: { id: active.id, label: active.label, url: active.url }
+        });
+      });
+      return true;
+    case 'get_server_profiles':
+      getServerProfiles().then(({ profiles, active }) => {
+        sendResponse({ profiles, activeProfileId: active.id });
+      });
+      return true;
+    case 'save_server_profile':
+      saveServerProfile(message.profile).then(sendResponse);
+      return true;
+    case 'delete_server_profile':
+      deleteServerProfile(message.profileId).then(sendResponse);
+      return true;
+    case 'switch_server_profile':
+      switchServerProfile(message.profileId).then(sendResponse);
+      return true;
+    case 'initialize_ai':
+      console.log('🤖 Initializing AI');
+      initializeAI();
+      break;
+    case 'get_ai_settings':
+      getAISettings().then(settings => sendResponse({ settings, providers: AIProviders.PROVIDERS }));
+      return true;
+    case 'update_ai_settings':
+      updateAISettings(message.settings).then(sendResponse);
+      return true;
+  }
+});
+
+
+// Send periodic heartbeat to keep connection alive
+function startHeartbeat() {
+  stopHeartbeat();
+  heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+function sendHeartbeat() {
+  if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN) return;
+
+  // The server answers every heartbeat, so a silent socket is dead even if it still looks open
+  if (Date.now() - lastMessageAt > CONNECTION_TIMEOUT) {
+    console.warn('💤 No response from the server, reconnecting...');
+    dropConnection();
+    scheduleReconnect('Connection timed out');
+    return;
+  }
+
+  // Send heartbeat without logging to reduce console spam
+  wsConnection.send(JSON.stringify({ type: 'heartbeat' }));
+}
+
+// Alarms survive service worker suspension: heartbeat an open socket, or reconnect after a restart
+function keepAlive() {
+  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
+    sendHeartbeat();
+  } else {
+    initializeWebSocket();
+  }
+}
+
+async function ensureKeepaliveAlarm() {
+  const alarm = await chrome.alarms.get(KEEPALIVE_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RECONNECT_ALARM) {
+    reconnectNow();
+  } else if (alarm.name === KEEPALIVE_ALARM) {
+    keepAlive();
+  }
+});
+
+// Last group event sequence number seen per group, persisted so it survives service worker restarts
+let groupSeq = {};
+chrome.storage.local.get(['groupSeq']).then((result) => {
+  groupSeq = { ...(result.groupSeq || {}), ...groupSeq };
+});
+
+function recordGroupSeq(groupId, seq, isSnapshot = false) {
+  // Snapshots reset the baseline; events only ever move it forward
+  if (!isSnapshot && groupSeq[groupId] >= seq) return;
+
+  groupSeq[groupId] = seq;
+  chrome.storage.local.set({ groupSeq });
+}
+
+// Groups we asked the server to resync after noticing a missed event
+const pendingSyncs = new Set();
+
+// Decide whether a sequenced group message should be applied, so each event is applied once and in order
+// On a gap we ask the server to replay what we missed (or send a snapshot) and drop events until it does
+function acceptGroupEvent(message) {
+  const { groupId, seq } = message;
+  const lastSeq = groupSeq[groupId];
+
+  if (message.type === 'group_data' || lastSeq === undefined || seq === lastSeq + 1) {
+    pendingSyncs.delete(groupId);
+    recordGroupSeq(groupId, seq, message.type === 'group_data');
+    return true;
+  }
+
+  if (seq <= lastSeq) {
+    console.log(`ℹ️ Skipping already applied event ${seq} in group ${groupId}`);
+    return false;
+  }
+
+  if (!pendingSyncs.has(groupId)) {
+    console.warn(`⚠️ Missed events ${lastSeq + 1}-${seq - 1} in group ${groupId}, resyncing`);
+    if (sendToServer({ type: 'sync_group', groupId, lastSeq })) {
+      pendingSyncs.add(groupId);
+    }
+  }
+  return false;
+}
+
+// Welcome message from the server for the connection that was just opened
+let pendingWelcome = null;
+
+// Resume our previous session if we have one, otherwise start fresh with this connection's identity
+async function handleWelcome(message) {
+  // Resyncs requested on the previous connection will never be answered
+  pendingSyncs.clear();
+  resetOutbox();
+
+  if (message.minClientVersion > TabTalkProtocol.PROTOCOL_VERSION) {
+    handleUpdateRequired();
+    return;
+  }
+
+  const { session } = await chrome.storage.local.get(['session']);
+
+  if (session && session.token) {
+    pendingWelcome = message;
+    sendToServer({
+      type: 'resume_session',
+      sessionToken: session.token,
+      lastSeq: groupSeq,
+      profile: await getUserProfile()
+    });
+    return;
+  }
+
+  await startNewSession(message);
+}
+
+async function startNewSession(welcome) {
+  console.log('🆔 Starting new session as client', welcome.clientId);
+  await chrome.storage.local.set({
+    session: { token: welcome.sessionToken, clientId: welcome.clientId }
+  });
+
+  // Our old memberships are gone, so rejoin our groups and replay what we missed
+  await rejoinGroups();
+
+  // The joins are ahead of the outbox on the socket, so queued messages reach groups we are back in
+  handleConnectionReady();
+}
+
+// Join our groups on this connection, replaying what we missed; groups we created while offline are created now
+async function rejoinGroups(filter = () => true) {
+  const [userGroups, { pendingCreates = {} }] = await Promise.all([
+    getUserGroups(),
+    chrome.storage.local.get(['pendingCreates'])
+  ]);
+  for (const groupId of userGroups.filter(filter)) {
+    if (pendingCreates[groupId]) {
+      await sendCreateGroup(groupId, pendingCreates[groupId]);
+    } else {
+      await joinGroup(groupId, {}, groupSeq[groupId], { activate: false });
+    }
+  }
+}
+
+// Called when the server restored our previous identity and group memberships
+async function handleSessionResumed(message) {
+  console.log('🔁 Session resumed as client', message.clientId, 'groups:', message.groups);
+  pendingWelcome = null;
+
+  for (const groupId of message.groups) {
+    await addUserGroup(groupId);
+    await clearPendingCreate(groupId);
+  }
+
+  // Groups we joined or created while offline never reached the server
+  const resumed = new Set(message.groups);
+  await rejoinGroups(groupId => !resumed.has(groupId));
+
+  // The service worker may have restarted and forgotten which group was active
+  if (!currentGroupId && message.groups.length > 0) {
+    rememberActiveGroup(message.groups[0]);
+  }
+
+  handleConnectionReady();
+}
+
+// Called when the server no longer knows our session token
+async function handleSessionExpired() {
+  console.log('⌛ Session expired, continuing with a new identity');
+  if (pendingWelcome) {
+    const welcome = pendingWelcome;
+    pendingWelcome = null;
+    await startNewSession(welcome);
+  }
+}
+
+// The server didn't accept the user ID we asked for and handed us one of its own
+async function handleIdentityAssigned(message) {
+  console.log('🆔 Server assigned user ID', message.userId);
+  await chrome.storage.local.set({
+    serverIdentity: { userId: message.userId, identityToken: message.identityToken }
+  });
+}
+
+// Handle WebSocket messages
+// Server messages are handled one after another, since opening sealed payloads of encrypted groups takes a moment
+let incomingMessages = Promise.resolve();
+
+function handleWebSocketMessage(message) {
+  // group_joined only announces the current sequence number; the snapshot or replay follows it
+  if (message.groupId && Number.isInteger(message.seq) && message.type !== 'group_joined' && !acceptGroupEvent(message)) {
+    return;
+  }
+
+  incomingMessages = incomingMessages
+    .then(() => openGroupMessage(message))
+    .then(opened => opened && dispatchWebSocketMessage(opened))
+    .catch(error => console.error(`❌ Failed to handle ${message.type}:`, error));
+}
+
+// Returns the handler's promise, so the next message waits until this one is stored
+function dispatchWebSocketMessage(message) {
+  switch (message.type) {
+    case 'welcome':
+      return handleWelcome(message);
+    case 'session_resumed':
+      return handleSessionResumed(message);
+    case 'session_expired':
+      return handleSessionExpired();
+    case 'identity_assigned':
+      return handleIdentityAssigned(message);
+    case 'tab_shared':
+      return handleSharedTab(message.data);
+    case 'group_update':
+      return handleGroupUpdate(message.data);
+    case 'member_joined':
+    case 'member_left':
+      return handleGroupUpdate({ groupId: message.groupId, memberCount: message.memberCount });
+    case 'roster':
+      return handleRoster(message);
+    case 'ai_cluster_update':
+      return handleAIClusterUpdate(message.data, message.groupId);
+    case 'chat_message':
+      return handleChatMessage(message);
+    case 'annotation_update':
+      return handleAnnotationUpdate(message);
+    case 'tab_updated':
+      return handleTabUpdated(message);
+    case 'tab_removed':
+      return handleTabRemoved(message);
+    case 'tab_feedback':
+      return handleTabFeedback(message);
+    case 'member_role_changed':
+    case 'member_removed':
+    case 'member_unbanned':
+    case 'group_locked':
+      return handleModerationEvent(message);
+    case 'removed_from_group':
+      return handleRemovedFromGroup(message);
+    case 'group_key_rotated':
+      notifyUI('group_key_rotated', { groupId: message.groupId, epoch: message.epoch });
+      break;
+    case 'error':
+      return handleServerError(message);
+    case 'action_rejected':
+      console.warn(`⛔ ${message.action} rejected:`, message.reason);
+      if (message.replyTo) {
+        settleOutboxEntry(message.replyTo, 'rejected', message.reason);
+      }
+      notifyUI('action_rejected', message);
+      break;
+    case 'ack':
+      return settleOutboxEntry(message.replyTo, 'delivered');
+    case 'group_data':
+      return handleGroupData(message.data, message.groupId);
+    case 'group_created':
+      return handleGroupCreated(message);
+    case 'join_rejected':
+    case 'create_rejected':
+      return handleGroupRejected(message);
+    case 'invite_created':
+      return handleInviteCreated(message);
+  }
+}
+
+// Called when the server could not accept one of our messages
+function handleServerError(message) {
+  if (message.code === 'unsupported_version') {
+    handleUpdateRequired();
+    return;
+  }
+
+  console.error(`❌ Server error ${message.code}${message.replyTo ? ` for message ${message.replyTo}` : ''}:`,
+    message.message, message.details || '');
+
+  // Throttled outbox messages are sent again later; anything else the server refused won't get better by resending
+  if (message.replyTo && message.code === 'rate_limited') {
+    settleOutboxEntry(message.replyTo, 'retry');
+    setTimeout(flushOutbox, message.retryAfter || 1000);
+  } else if (message.replyTo) {
+    settleOutboxEntry(message.replyTo, 'failed', message.code);
+  }
+  notifyUI('server_error', {
+    code: message.code,
+    message: message.message,
+    replyTo: message.replyTo,
+    details: message.details
+  });
+}
+
+// The server speaks a newer protocol than this extension; stay offline and ask the user to update
+function handleUpdateRequired() {
+  if (updateRequired) return;
+
+  updateRequired = true;
+  console.warn('⛔ The server requires a newer version of Tab Talk, please update the extension');
+  dropConnection();
+  setConnectionState('blocked', { nextRetryAt: null, lastError: 'unsupported_version' });
+
+  notifyUI('update_required', {
+    message: TabTalkProtocol.ERROR_CODES.unsupported_version
+  });
+}
+
+// Called when the server confirms a group we created
+async function handleGroupCreated(message) {
+  console.log('🆕 Group created:', message.groupId, 'access:', message.accessMode);
+  await clearPendingCreate(message.groupId);
+
+  // Keep the creator's invite token so we can rejoin invite-only groups after reconnecting
+  await saveGroupCredentials(message.groupId, { inviteToken: message.inviteToken });
+
+  notifyUI('group_created', {
+    groupId: message.groupId,
+    accessMode: message.accessMode,
+    inviteToken: message.inviteToken
+  });
+}
+
+// Called when the server refuses to let us create or join a group
+async function handleGroupRejected(message) {
+  console.warn(`⛔ ${message.type} for group ${message.groupId}:`, message.reason);
+
+  if (message.type === 'join_rejected') {
+    // Stored credentials no longer work, so don't retry them on reconnect
+    const { groupCredentials = {} } = await chrome.storage.local.get(['groupCredentials']);
+    delete groupCredentials[message.groupId];
+    await chrome.storage.local.set({ groupCredentials });
+  }
+
+  await removeUserGroup(message.groupId);
+
+  notifyUI('group_rejected', {
+    groupId: message.groupId,
+    action: message.type === 'join_rejected' ? 'join' : 'create',
+    reason: message.reason
+  });
+}
+
+// Called when the server returns an invite token we asked for
+function handleInviteCreated(message) {
+  console.log('✉️ Invite created for group:', message.groupId);
+  notifyUI('invite_created', {
+    groupId: message.groupId,
+    inviteToken: message.inviteToken
+  });
+}
+
+// Send a message to the popup and side panel, ignoring the case where none are open
+function notifyUI(type, data) {
+  try {
+    chrome.runtime.sendMessage({ type, data }).catch(() => {
+      console.log(`No receivers for ${type} message`);
+    });
+  } catch (error) {
+    console.log(`Error sending ${type} message`);
+  }
+}
+
+// Our identity as shown to other group members, created on first use
+// It carries the public half of our member key so encrypted groups can hand us new group secrets
+// Each server signs the user ID it knows us by; until it has, we ask for the one we made up ourselves
+async function getUserProfile() {
+  const [{ userProfile, serverIdentity }, { publicKey }] = await Promise.all([
+    chrome.storage.local.get(['userProfile', 'serverIdentity']),
+    getMemberKeyPair()
+  ]);
+  if (userProfile && userProfile.userId) {
+    return { ...userProfile, ...serverIdentity, publicKey };
+  }
+
+  const profile = {
+    userId: crypto.randomUUID(),
+    displayName: '',
+    color: null,
+    avatar: null
+  };
+  await chrome.storage.local.set({ userProfile: profile });
+  return { ...profile, publicKey };
+}
+
+async function updateUserProfile(changes) {
+  const [{ userProfile }, current] = await Promise.all([chrome.storage.local.get(['userProfile']), getUserProfile()]);
+  // The user ID is what other members know us by, so it never changes
+  const { displayName, color, avatar } = { ...current, ...changes };
+  await chrome.storage.local.set({ userProfile: { ...userProfile, displayName, color, avatar } });
+
+  const profile = { ...current, displayName, color, avatar };
+  sendToServer({ type: 'update_profile', profile });
+  return profile;
+}
+
+// Replace a sharedBy/createdBy reference (user ID, or identity captured at share time) with the member's current profile
+function resolveIdentity(ref, roster = []) {
+  if (!ref) return ref;
+
+  const identity = typeof ref === 'string' ? { userId: ref, displayName: ref } : ref;
+  const member = roster.find(entry => entry.userId === identity.userId);
+  if (!member) return identity;
+
+  return {
+    userId: member.userId,
+    displayName: member.displayName,
+    color: member.color,
+    avatar: member.avatar
+  };
+}
+
+function resolveIdentities(items, roster) {
+  return items.map(item => ({
+    ...item,
+    ...(item.sharedBy && { sharedBy: resolveIdentity(item.sharedBy, roster) }),
+    ...(item.createdBy && { createdBy: resolveIdentity(item.createdBy, roster) }),
+    ...(item.resolvedBy && { resolvedBy: resolveIdentity(item.resolvedBy, roster) }),
+    ...(Array.isArray(item.replies) && { replies: resolveIdentities(item.replies, roster) })
+  }));
+}
+
+// Called when the server sends the member list of a group
+async function handleRoster(message) {
+  console.log('👥 handleRoster:', message.groupId, message.members.length, 'members');
+
+  const { groupRosters = {}, sharedTabs = [], annotations = [], discussions = {} } =
+    await chrome.storage.local.get(['groupRosters', 'sharedTabs', 'annotations', 'discussions']);
+  groupRosters[message.groupId] = message.members;
+  discussions[message.groupId] = resolveThreads(discussions[message.groupId], message.members);
+
+  // Member names and colors may have changed, so refresh them on everything we store
+  await chrome.storage.local.set({
+    groupRosters,
+    sharedTabs: resolveIdentities(sharedTabs, message.members),
+    annotations: resolveIdentities(annotations, message.members),
+    discussions
+  });
+
+  notifyUI('roster_updated', {
+    groupId: message.groupId,
+    members: message.members
+  });
+}
+
+// Called with a full snapshot of one group; tabs and annotations of our other groups are kept
+async function handleGroupData(groupData, groupId) {
+  console.log('📥 handleGroupData:', groupData);
+  const stored = await chrome.storage.local.get(['sharedTabs', 'annotations', 'discussions', 'groupRosters']);
+  const roster = (stored.groupRosters || {})[groupId] || [];
+  const withGroup = item => ({ ...item, groupId });
+  const sharedTabs = [
+    ...(stored.sharedTabs || []).filter(tab => tab.groupId !== groupId),
+    ...resolveIdentities(groupData.sharedTabs || [], roster).map(withGroup)
+  ];
+  const annotations = [
+    ...(stored.annotations || []).filter(annotation => annotation.groupId !== groupId),
+    ...resolveIdentities(groupData.annotations || [], roster).map(withGroup)
+  ];
+  const discussions = {
+    ...(stored.discussions || {}),
+    [groupId]: resolveThreads(groupData.discussions, roster)
+  };
+
+  if (groupData.moderation) {
+    updateModeration(groupId, () => groupData.moderation);
+  }
+
+  // Store sharedTabs locally
+  await chrome.storage.local.set({ sharedTabs, annotations, discussions });
+  pushAnnotationsToTabs();
+  notifyUnreadCounts();
+
+  if (groupId === currentGroupId) {
+    refreshActiveClusters(sharedTabs);
+  }
+  console.log('📊 Number of shared tabs:', sharedTabs.length);
+}
+
+// Clusters keep their ID, name and tabs from one refresh to the next. They are stored per group in clusterState
+// as { [groupId]: [{ id, name, theme, tabIds }] }; only tabs no cluster holds yet get classified, into an
+// existing cluster where one fits. Starting over from scratch is the explicit recluster action.
+// A cluster's ID comes from its name (TabTalkProtocol.clusterId), so every member has the same cluster thread.
+const PENDING_CLUSTER_ID = 'pending';
+
+// Clustering runs one at a time so two quick shares can't both place the same tab
+let clusteringQueue = Promise.resolve();
+
+async function getGroupClusters(groupId) {
+  const { clusterState = {} } = await chrome.storage.local.get(['clusterState']);
+  // Clusters stored with a random ID get the one their name gives
+  const taken = new Set();
+  return (clusterState[groupId] || []).map(cluster => {
+    const id = TabTalkProtocol.clusterId(cluster.name, taken);
+    taken.add(id);
+    return { ...cluster, id };
+  });
+}
+
+async function saveGroupClusters(groupId, clusters) {
+  const { clusterState = {} } = await chrome.storage.local.get(['clusterState']);
+  clusterState[groupId] = clusters;
+  await chrome.storage.local.set({ clusterState });
+}
+
+// The stored clusters with their tabs filled in, for the UI; tabs not sorted yet wait in a pending cluster
+function buildClusterView(clusters, groupTabs) {
+  const tabsById = new Map(groupTabs.map(tab => [tab.id, tab]));
+  const placed = new Set();
+
+  const view = clusters
+    .map(cluster => {
+      const tabs = cluster.tabIds.map(tabId => tabsById.get(tabId)).filter(Boolean);
+      tabs.forEach(tab => placed.add(tab.id));
+      return { id: cluster.id, name: cluster.name, theme: cluster.theme, tabs };
+    })
+    .filter(cluster => cluster.tabs.length > 0);
+
+  const pendingTabs = groupTabs.filter(tab => !placed.has(tab.id));
+  if (pendingTabs.length > 0) {
+    view.push({ id: PENDING_CLUSTER_ID, name: 'New', theme: 'Recently shared, not sorted yet', tabs: pendingTabs, pending: true });
+  }
+  return view;
+}
+
+// Show the active group's clusters from all locally stored tabs, then sort in any tabs that are new
+function refreshActiveClusters(sharedTabs) {
+  const groupId = currentGroupId;
+  const groupTabs = sharedTabs.filter(tab => tab.groupId === groupId);
+
+  getGroupClusters(groupId)
+    .then(clusters => publishClusters(buildClusterView(clusters, groupTabs)))
+    .then(ordered => {
+      // Log the clusters for debugging
+      console.log('🔍 Computed clusters:', ordered);
+      if (ordered.some(cluster => cluster.pending)) {
+        scheduleClustering(groupId);
+      }
+    });
+}
+
+function scheduleClustering(groupId, options) {
+  clusteringQueue = clusteringQueue
+    .then(() => updateAIClusters(groupId, options))
+    .catch(error => console.error('❌ Clustering failed:', error));
+  return clusteringQueue;
+}
+
+// Throw the active group's clusters away and sort all of its tabs again; cluster names that come back keep their IDs and threads
+async function reclusterActiveGroup() {
+  await scheduleClustering(currentGroupId, { full: true });
+  const { aiClusters = [] } = await chrome.storage.local.get(['aiClusters']);
+  return aiClusters;
+}
+
+// Order clusters by the user's preference, store them and tell the UI
+async function publishClusters(clusters) {
+  const { userPreferences = {} } = await chrome.storage.local.get(['userPreferences']);
+  const ordered = orderClusters(clusters, userPreferences.clusterOrder);
+
+  await chrome.storage.local.set({ aiClusters: ordered });
+  notifyUI('clusters_updated', ordered);
+  return ordered;
+}
+
+// 'top' puts the best-voted tabs first, and the clusters holding them; anything else keeps the built order
+function orderClusters(clusters, order = 'recent') {
+  if (order !== 'top') return clusters;
+
+  const scoreOf = tab => tab.feedback?.score || 0;
+  const byScore = (a, b) => (scoreOf(b) - scoreOf(a)) || ((b.timestamp || 0) - (a.timestamp || 0));
+  const clusterScore = cluster => cluster.tabs.reduce((sum, tab) => sum + scoreOf(tab), 0);
+
+  return clusters
+    .map(cluster => ({ ...cluster, tabs: [...cluster.tabs].sort(byScore) }))
+    .sort((a, b) => clusterScore(b) - clusterScore(a));
+}
+
+// Switch between 'recent' and 'top' ordering and reorder the stored clusters
+async function setClusterOrder(order) {
+  const { userPreferences = {}, aiClusters = [] } =
+    await chrome.storage.local.get(['userPreferences', 'aiClusters']);
+  await chrome.storage.local.set({ userPreferences: { ...userPreferences, clusterOrder: order } });
+
+  // 'recent' can't be restored from a 'top' ordering, so rebuild from the tabs
+  if (order === 'top') {
+    await publishClusters(aiClusters);
+  } else {
+    const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+    refreshActiveClusters(sharedTabs);
+  }
+}
+
+function handleGroupUpdate(update) {
+  console.log('👥 handleGroupUpdate:', update);
+  chrome.storage.local.get(['groups'], ({ groups = {} }) => {
+    groups[update.groupId] = {
+      ...(groups[update.groupId] || {}),
+      memberCount: update.memberCount
+    };
+    chrome.storage.local.set({ groups }, () => {
+      try {
+        chrome.runtime.sendMessage({
+          type: 'group_info_updated',
+          data: { groupId: update.groupId, memberCount: update.memberCount }
+        }).catch(() => {
+          // Ignore errors when no receivers are available
+          console.log('No receivers for group info update message');
+        });
+      } catch (error) {
+        // Ignore errors when sending messages
+        console.log('Error sending group info update message');
+      }
+    });
+  });
+}
+// Called when a "tab_shared" message arrives from the server
+async function handleSharedTab(sharedTabData) {
+  console.log('🔄 handleSharedTab:', sharedTabData);
+  const { sharedTabs = [], groupRosters = {} } = await chrome.storage.local.get(['sharedTabs', 'groupRosters']);
+  const [tabData] = resolveIdentities([sharedTabData], groupRosters[sharedTabData.groupId] || []);
+
+  // Our own share coming back: keep the server's copy, which has the final timestamp and identity
+  const localIndex = sharedTabs.findIndex(tab => tab.id === tabData.id && tab.groupId === tabData.groupId);
+  if (localIndex !== -1) {
+    console.log('ℹ️ Server confirmed shared tab:', tabData.url);
+    sharedTabs[localIndex] = { ...tabData, chromeTabId: sharedTabs[localIndex].chromeTabId };
+    await chrome.storage.local.set({ sharedTabs });
+    return;
+  }
+
+  // Check if tab already exists by URL AND groupId (to allow same URL in different groups)
+  // Also check if timestamp is significantly different (more than 1 second) to avoid echo from server
+  const existingTab = sharedTabs.find(tab =>
+    tab.url === tabData.url &&
+    tab.groupId === tabData.groupId &&
+    Math.abs(tab.timestamp - tabData.timestamp) > 1000 // More than 1 second difference
+  );
+  
+  if (existingTab) {
+    // The server accepted it, so keep it to stay in step with the group; just let the user know
+    console.warn('⚠️ Duplicate tab detected:', tabData.url);
+    console.warn('⚠️ This tab was already shared at:', new Date(existingTab.timestamp).toLocaleString());
+    
+    // Notify UI about duplicate
+    try {
+      chrome.runtime.sendMessage({
+        type: 'duplicate_tab_warning',
+        data: {
+          url: tabData.url,
+          title: tabData.title,
+          originalTimestamp: existingTab.timestamp
+        }
+      }).catch(() => {
+        console.log('No receivers for duplicate warning');
+      });
+    } catch (error) {
+      console.log('Error sending duplicate warning');
+    }
+  }
+  
+  // Tab is new, add it and drop the group's oldest tabs like the server does
+  sharedTabs.push(tabData);
+  const groupTabs = sharedTabs.filter(tab => tab.groupId === tabData.groupId);
+  const dropped = new Set(groupTabs.slice(0, -TabTalkProtocol.MAX_GROUP_TABS));
+  const keptTabs = sharedTabs.filter(tab => !dropped.has(tab));
+
+  await chrome.storage.local.set({ sharedTabs: keptTabs });
+  if (dropped.size > 0) {
+    pruneTabThreads(tabData.groupId, keptTabs);
+  }
+  if (tabData.groupId === currentGroupId) {
+    refreshActiveClusters(keptTabs);
+  }
+}
+
+// Replace (or with no updatedTab, drop) one tab inside the stored clusters without reclustering
+function updateClusterTabs(clusters, tabId, updatedTab) {
+  return clusters
+    .map(cluster => ({
+      ...cluster,
+      tabs: cluster.tabs.flatMap(tab => {
+        if (tab.id !== tabId) return [tab];
+        return updatedTab ? [{ ...tab, ...updatedTab }] : [];
+      })
+    }))
+    .filter(cluster => cluster.tabs.length > 0);
+}
+
+// Apply an edit or removal of a shared tab to local storage and the clusters
+async function applyTabChange(groupId, tabId, updatedTab) {
+  const { sharedTabs = [], aiClusters = [], groupRosters = {} } =
+    await chrome.storage.local.get(['sharedTabs', 'aiClusters', 'groupRosters']);
+
+  const isChanged = tab => tab.id === tabId && tab.groupId === groupId;
+  const resolvedTab = updatedTab
+    ? resolveIdentities([updatedTab], groupRosters[groupId] || [])[0]
+    : null;
+  const nextTabs = resolvedTab
+    ? sharedTabs.map(tab => (isChanged(tab) ? { ...tab, ...resolvedTab } : tab))
+    : sharedTabs.filter(tab => !isChanged(tab));
+  await chrome.storage.local.set({ sharedTabs: nextTabs });
+
+  // Clusters only hold the active group's tabs
+  if (groupId === currentGroupId) {
+    await publishClusters(updateClusterTabs(aiClusters, tabId, resolvedTab));
+  }
+}
+
+// Called when a "tab_updated" message arrives from the server
+async function handleTabUpdated(message) {
+  console.log('✏️ handleTabUpdated:', message.data.id);
+  await applyTabChange(message.groupId, message.data.id, message.data);
+  notifyUI('tab_updated', message.data);
+}
+
+// Called when a "tab_removed" message arrives from the server
+async function handleTabRemoved(message) {
+  console.log('🗑️ handleTabRemoved:', message.tabId);
+  await applyTabChange(message.groupId, message.tabId, null);
+  const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+  await pruneTabThreads(message.groupId, sharedTabs);
+  notifyUI('tab_removed', { groupId: message.groupId, tabId: message.tabId });
+}
+
+// Called when reactions or votes on a shared tab change; feedback holds the server's tallies
+async function handleTabFeedback(message) {
+  await applyTabChange(message.groupId, message.tabId, { feedback: message.feedback });
+  notifyUI('tab_feedback', {
+    groupId: message.groupId,
+    tabId: message.tabId,
+    feedback: message.feedback
+  });
+}
+
+// Ask the server to change the title, note or summary of a shared tab
+function updateSharedTab(tabId, changes, groupId = currentGroupId) {
+  queueMessage({
+    type: 'update_tab',
+    groupId,
+    tabId,
+    changes
+  });
+}
+
+// Ask the server to retract a shared tab
+function removeSharedTab(tabId, groupId = currentGroupId) {
+  queueMessage({
+    type: 'remove_tab',
+    groupId,
+    tabId
+  });
+}
+
+// Moderation state is stored as { [groupId]: { owner, roles, locked, banned } }, roles by user ID
+const DEFAULT_MODERATION = { owner: null, roles: {}, locked: false, banned: [] };
+
+// update gets the current state and returns the new one
+async function updateModeration(groupId, update) {
+  const { groupModeration = {} } = await chrome.storage.local.get(['groupModeration']);
+  const current = groupModeration[groupId] || DEFAULT_MODERATION;
+  groupModeration[groupId] = update(current);
+  await chrome.storage.local.set({ groupModeration });
+
+  notifyUI('moderation_updated', { groupId, ...groupModeration[groupId] });
+}
+
+// Called when a moderator changed a role, removed or unbanned a member, or (un)locked a group
+async function handleModerationEvent(message) {
+  console.log('🛡️ handleModerationEvent:', message.type, message.groupId);
+
+  await updateModeration(message.groupId, state => {
+    switch (message.type) {
+      case 'member_role_changed': {
+        const roles = { ...state.roles, [message.userId]: message.role };
+        if (message.role === 'member') delete roles[message.userId];
+        return { ...state, roles };
+      }
+      case 'member_removed': {
+        const roles = { ...state.roles };
+        delete roles[message.userId];
+        const banned = message.banned ? [...new Set([...state.banned, message.userId])] : state.banned;
+        return { ...state, roles, banned };
+      }
+      case 'member_unbanned':
+        return { ...state, banned: state.banned.filter(userId => userId !== message.userId) };
+      case 'group_locked':
+        return { ...state, locked: message.locked };
+      default:
+        return state;
+    }
+  });
+
+  if (message.type === 'member_removed') {
+    notifyUI('member_removed', { groupId: message.groupId, userId: message.userId, banned: message.banned });
+    if (Number.isInteger(message.keyEpoch)) {
+      await rotateAfterRemoval(message);
+    }
+  }
+}
+
+// Called when a moderator kicked or banned us from a group
+async function handleRemovedFromGroup(message) {
+  console.warn(`⛔ Removed from group ${message.groupId}:`, message.reason);
+
+  if (message.reason === 'banned') {
+    // The credentials won't get us back in, so don't retry them on reconnect
+    const { groupCredentials = {} } = await chrome.storage.local.get(['groupCredentials']);
+    delete groupCredentials[message.groupId];
+    await chrome.storage.local.set({ groupCredentials });
+  }
+
+  await removeUserGroup(message.groupId);
+  notifyUI('removed_from_group', { groupId: message.groupId, reason: message.reason });
+}
+
+// The stored moderation state of a group plus our own role in it
+async function getModeration(groupId = currentGroupId) {
+  const [{ groupModeration = {} }, profile] = await Promise.all([
+    chrome.storage.local.get(['groupModeration']),
+    getUserProfile()
+  ]);
+  const state = groupModeration[groupId] || DEFAULT_MODERATION;
+  const role = state.owner === profile.userId ? 'owner' : state.roles[profile.userId] || 'member';
+  return { groupId, ...state, role };
+}
+
+// Change a member's role, kick, ban or unban them, or lock the group; the server checks we may
+function sendModerationAction(type, groupId, fields) {
+  sendToServer({
+    type,
+    groupId: groupId || currentGroupId,
+    ...fields
+  });
+}
+
+// Secrets of encrypted groups are stored as groupSecrets: { [groupId]: { epoch, secrets: { [epoch]: secret }, joinSecret } }
+// epoch is the group's current key epoch; joinSecret is the secret we were given to join with, until it is confirmed
+// The secrets never leave the extension; the server only sees payloads sealed with keys derived from them
+const SEALED_MESSAGE_TYPES = new Set(['share_tab', 'update_tab', 'annotation_created', 'annotation_reply', 'annotation_edit', 'chat_message']);
+// Derived keys by group, epoch and secret; deriving is deliberately slow
+const groupKeyCache = new Map();
+let memberKeyPair = null;
+
+// Our member key pair, created once; the private half never leaves this extension
+function getMemberKeyPair() {
+  if (!memberKeyPair) {
+    memberKeyPair = chrome.storage.local.get(['memberKeys']).then(async ({ memberKeys }) => {
+      if (memberKeys) return memberKeys;
+
+      const created = await GroupCrypto.generateMemberKeyPair();
+      await chrome.storage.local.set({ memberKeys: created });
+      return created;
+    });
+  }
+  return memberKeyPair;
+}
+
+async function getGroupSecrets(groupId) {
+  const { groupSecrets = {} } = await chrome.storage.local.get(['groupSecrets']);
+  return groupSecrets[groupId] || null;
+}
+
+// state null forgets the group's secrets
+async function saveGroupSecrets(groupId, state) {
+  const { groupSecrets = {} } = await chrome.storage.local.get(['groupSecrets']);
+  if (state) {
+    groupSecrets[groupId] = state;
+  } else {
+    delete groupSecrets[groupId];
+  }
+  await chrome.storage.local.set({ groupSecrets });
+}
+
+// Keep the secret someone gave us for an encrypted group until joining shows which epoch it belongs to
+async function rememberJoinSecret(groupId, joinSecret) {
+  const state = (await getGroupSecrets(groupId)) || { epoch: 0, secrets: {} };
+  await saveGroupSecrets(groupId, { ...state, joinSecret });
+}
+
+// The key of one epoch of a group, or null if we don't have its secret
+async function getGroupKey(groupId, epoch) {
+  const state = await getGroupSecrets(groupId);
+  const secret = state && state.secrets[epoch];
+  if (!secret) return null;
+
+  const cacheKey = `${groupId}:${epoch}:${secret}`;
+  if (!groupKeyCache.has(cacheKey)) {
+    groupKeyCache.set(cacheKey, GroupCrypto.deriveGroupKey(secret, groupId, epoch));
+  }
+  return groupKeyCache.get(cacheKey);
+}
+
+// Bring our secrets for an encrypted group up to its current key epoch
+// A secret we lack comes from the latest rotation if it was wrapped for us, or else from the one we joined with
+async function applyGroupEncryption(groupId, { epoch, rotation }) {
+  const state = (await getGroupSecrets(groupId)) || { epoch: 0, secrets: {} };
+  const secrets = { ...state.secrets };
+  const latest = rotation && rotation.epoch === epoch ? rotation : null;
+  let joinSecret = state.joinSecret || null;
+
+  if (!secrets[epoch] && latest) {
+    const [{ userId }, { privateKey }] = await Promise.all([getUserProfile(), getMemberKeyPair()]);
+    secrets[epoch] = await GroupCrypto.unwrapSecret(latest, groupId, userId, privateKey).catch(() => null);
+  }
+  if (!secrets[epoch] && joinSecret) {
+    secrets[epoch] = joinSecret;
+  }
+
+  // The rotation carries all older secrets sealed with the new key, so older tabs stay readable
+  const missesOlder = Array.from({ length: epoch }, (_, older) => older).some(older => !secrets[older]);
+  if (secrets[epoch] && latest && missesOlder) {
+    try {
+      const key = await GroupCrypto.deriveGroupKey(secrets[epoch], groupId, epoch);
+      Object.assign(secrets, await GroupCrypto.open(key, groupId, latest.history), { [epoch]: secrets[epoch] });
+    } catch (error) {
+      // Only a secret we were given can be wrong; a wrapped one opened fine
+      console.warn(`⚠️ The secret for group ${groupId} is not the current one`);
+      delete secrets[epoch];
+    }
+  }
+  if (secrets[epoch]) {
+    joinSecret = null;
+  }
+
+  await saveGroupSecrets(groupId, { epoch, secrets, ...(joinSecret && { joinSecret }) });
+  if (!secrets[epoch]) {
+    notifyUI('group_key_missing', { groupId, epoch });
+  }
+}
+
+// Decrypt one sealed payload of a group, or null if we can't
+async function openSealed(groupId, sealed) {
+  const key = await getGroupKey(groupId, sealed.epoch);
+  if (key) {
+    try {
+      return await GroupCrypto.open(key, groupId, sealed);
+    } catch (error) {
+      console.warn(`⚠️ Could not decrypt a payload of group ${groupId}`);
+    }
+  }
+  notifyUI('group_key_missing', { groupId, epoch: sealed.epoch });
+  return null;
+}
+
+// What a sealed payload may hold; the rest of an item (IDs, who shared it and when) is stamped by the server
+// and stays as the server sent it, so no keyholder can make their share look like someone else's
+const SEALED_FIELDS = ['url', 'title', 'summary', 'excerpt', 'readingTime', 'note', 'selector', 'text'];
+// The server checks plain selectors but can't read sealed ones, so they are checked here before a page gets them
+const MAX_QUOTE_LENGTH = 1000;
+const MAX_CONTEXT_LENGTH = 64;
+
+// A { exact, prefix, suffix } selector cut to size, or null if it quotes nothing
+function cleanSelector(selector) {
+  if (!selector || typeof selector.exact !== 'string' || !selector.exact.trim()) return null;
+
+  return {
+    exact: selector.exact.slice(0, MAX_QUOTE_LENGTH),
+    prefix: typeof selector.prefix === 'string' ? selector.prefix.slice(-MAX_CONTEXT_LENGTH) : '',
+    suffix: typeof selector.suffix === 'string' ? selector.suffix.slice(0, MAX_CONTEXT_LENGTH) : ''
+  };
+}
+
+// Replace the sealed payloads of tabs, annotation threads and replies with their contents
+// Items we can't decrypt are left out: without the key they would only be empty shells
+async function openItems(groupId, items) {
+  const opened = [];
+  for (const item of items) {
+    const { sealed, ...rest } = item;
+    const content = sealed ? await openSealed(groupId, sealed) : {};
+    if (!content || typeof content !== 'object') continue;
+
+    const fields = Object.fromEntries(SEALED_FIELDS.filter(field => field in content).map(field => [field, content[field]]));
+    if ('selector' in fields) {
+      fields.selector = cleanSelector(fields.selector);
+      if (!fields.selector) continue;
     }
-    
-    // Attempt to reconnect after a delay
-    setTimeout(initializeWebSocket, 5000);
-  } finally {
-    // Reset connection attempt flag
-    connectionAttemptInProgress = false;
+
+    const replies = Array.isArray(item.replies) ? await openItems(groupId, item.replies) : undefined;
+    opened.push({ ...rest, ...fields, ...(replies && { replies }) });
   }
+  return opened;
 }
 
-// Enhanced message handling from UI
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('📬 Received UI message:', message);
-  
+// Apply key changes and decrypt the payloads of a server message; null drops the message
+async function openGroupMessage(message) {
   switch (message.type) {
-    case 'join_group':
-      console.log('🏠 Joining group:', message.groupId);
-      joinGroup(message.groupId);
-      break;
-    case 'share_current_tab':
-      console.log('📤 Sharing current tab');
-      shareCurrentTab();
-      break;
-    case 'generate_discussion_prompt':
-      console.log('💡 Generating discussion prompt');
-      generateDiscussionPrompt(message.clusterData, sendResponse);
-      return true; // Indicate we'll send response asynchronously
-      break;
-    case 'get_clusters':
-      console.log('📊 Getting clusters');
-      getClusters(sendResponse);
-      return true;
-    case 'initialize_websocket':
-      console.log('🔌 Initializing WebSocket');
-      // Only initialize if we don't have an active connection
-      if (!wsConnection || wsConnection.readyState === WebSocket.CLOSED || wsConnection.readyState === WebSocket.CLOSING) {
-        initializeWebSocket();
-      } else {
-        console.log('✅ WebSocket already connected, state:', wsConnection.readyState);
+    case 'group_joined':
+      if (message.encryption) {
+        await applyGroupEncryption(message.groupId, message.encryption);
+      } else if (await isEncryptedGroup(message.groupId)) {
+        // We were given a secret for a group that turned out not to be encrypted
+        await saveGroupSecrets(message.groupId, null);
       }
-      break;
-    case 'connection_status':
-      sendResponse({
-        connected: wsConnection && wsConnection.readyState === WebSocket.OPEN
-      });
-      return true;
-    case 'initialize_ai':
-      console.log('🤖 Initializing AI');
-      initializeAI();
-      break;
+      return message;
+    case 'group_key_rotated':
+      await applyGroupEncryption(message.groupId, { epoch: message.epoch, rotation: message.rotation });
+      return message;
+    case 'group_data': {
+      const { data, groupId } = message;
+      if (data.encryption) {
+        await applyGroupEncryption(groupId, data.encryption);
+      }
+      const discussions = {};
+      for (const [thread, messages] of Object.entries(data.discussions || {})) {
+        discussions[thread] = await openItems(groupId, messages);
+      }
+      return {
+        ...message,
+        data: {
+          ...data,
+          sharedTabs: await openItems(groupId, data.sharedTabs || []),
+          annotations: await openItems(groupId, data.annotations || []),
+          discussions
+        }
+      };
+    }
+    case 'tab_shared':
+    case 'tab_updated':
+    case 'annotation_update':
+    case 'chat_message': {
+      if (message.action === 'deleted') return message;
+      const [data] = await openItems(message.groupId, [message.data]);
+      return data ? { ...message, data } : null;
+    }
+    default:
+      return message;
   }
-});
+}
 
+async function isEncryptedGroup(groupId) {
+  return Boolean(await getGroupSecrets(groupId));
+}
 
-// Send periodic heartbeat to keep connection alive
-function sendHeartbeat() {
-  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
-    // Send heartbeat without logging to reduce console spam
-    wsConnection.send(JSON.stringify({ type: 'heartbeat' }));
-    setTimeout(sendHeartbeat, 25000); // Send every 25 seconds
+// Split target groups into batches of plain groups, as many as one message may target, plus one per
+// encrypted group, since every encrypted group needs its own ciphertext
+async function batchByEncryption(groupIds) {
+  const plain = [];
+  const encrypted = [];
+  for (const groupId of groupIds) {
+    if (await isEncryptedGroup(groupId)) {
+      encrypted.push([groupId]);
+    } else {
+      plain.push(groupId);
+    }
+  }
+
+  const batches = [];
+  for (let start = 0; start < plain.length; start += TabTalkProtocol.MAX_TARGET_GROUPS) {
+    batches.push(plain.slice(start, start + TabTalkProtocol.MAX_TARGET_GROUPS));
   }
+  return [...batches, ...encrypted];
 }
 
-// Handle WebSocket messages
-function handleWebSocketMessage(message) {
+// Seal a payload with the current key of a group
+async function sealForGroup(groupId, payload) {
+  const state = await getGroupSecrets(groupId);
+  const key = state && await getGroupKey(groupId, state.epoch);
+  return key ? GroupCrypto.seal(key, groupId, state.epoch, payload) : null;
+}
+
+// Turn an outgoing message for an encrypted group into its sealed form, right before it is sent so it
+// uses the newest key; returns { message } or { error }
+async function sealGroupMessage(message) {
+  const groupId = message.groupId || (message.groupIds && message.groupIds.length === 1 ? message.groupIds[0] : null);
+  if (!SEALED_MESSAGE_TYPES.has(message.type) || !groupId || !(await isEncryptedGroup(groupId))) {
+    return { message };
+  }
+
+  let content = null;
   switch (message.type) {
-    case 'tab_shared':
-      handleSharedTab(message.data);
-      break;
-    case 'group_update':
-      handleGroupUpdate(message.data);
-      break;
-    case 'ai_cluster_update':
-      handleAIClusterUpdate(message.data);
-      break;
-    case 'annotation_update':
-      handleAnnotationUpdate(message.data);
-      break;
-    case 'group_data':
-      handleGroupData(message.data);
+    case 'share_tab':
+    case 'annotation_created': {
+      const { id, url, title, summary, excerpt, readingTime, note, selector, text } = message.data;
+      content = message.type === 'share_tab'
+        ? { url, title, summary, excerpt, readingTime, note }
+        : { url, selector, text };
+      const sealed = await sealForGroup(groupId, content);
+      return sealed
+        ? { message: { type: message.type, groupId, sealed: { id, ...sealed } } }
+        : { error: 'group_key_missing' };
+    }
+    case 'update_tab': {
+      // The server can't merge fields it can't read, so the whole tab is sealed again
+      const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+      const tab = sharedTabs.find(sharedTab => sharedTab.id === message.tabId && sharedTab.groupId === groupId);
+      if (!tab) return { error: 'tab_not_found' };
+
+      const { title, summary, note } = { ...tab, ...message.changes };
+      content = { url: tab.url, title, summary, excerpt: tab.excerpt, readingTime: tab.readingTime, note };
       break;
+    }
+    default:
+      content = { text: message.text };
   }
+
+  const sealed = await sealForGroup(groupId, content);
+  if (!sealed) return { error: 'group_key_missing' };
+
+  const { changes, text, ...rest } = message;
+  return { message: { ...rest, sealed } };
 }
 
-function handleGroupData(groupData) {
-  console.log('📥 handleGroupData:', groupData);
-  const { sharedTabs = [], annotations = [] } = groupData;
-  
-  // Store sharedTabs locally
-  chrome.storage.local.set({ sharedTabs, annotations }, () => {
-    // Compute clusters from the shared tabs
-    const clusters = computeClusters(sharedTabs);
-    
-    // Store clusters
-    chrome.storage.local.set({ aiClusters: clusters }, () => {
-      // Notify UI components about updated clusters with better error handling
-      try {
-        chrome.runtime.sendMessage({
-          type: 'clusters_updated',
-          data: clusters
-        }).catch((error) => {
-          // Handle specific error types
-          if (error.message.includes('Receiving end does not exist')) {
-            console.log('ℹ️ No active UI components to receive clusters update');
-          } else {
-            console.error('❌ Error sending clusters update message:', error);
-          }
-        });
-      } catch (error) {
-        console.error('❌ Error sending clusters update message:', error);
-      }
-      
-      // Log the clusters for debugging
-      console.log('🔍 Computed clusters:', clusters);
-      console.log('📊 Number of shared tabs:', sharedTabs.length);
-    });
+// Hand every member except the excluded ones a new group secret; the server only relays the wrapped copies
+// Older secrets go along sealed with the new key, so whoever gets the new secret can still read older tabs
+async function rotateGroupKey(groupId = currentGroupId, excludedUserIds = []) {
+  const [state, profile, { groupRosters = {}, groupModeration = {} }] = await Promise.all([
+    getGroupSecrets(groupId),
+    getUserProfile(),
+    chrome.storage.local.get(['groupRosters', 'groupModeration'])
+  ]);
+  if (!state || !state.secrets[state.epoch]) {
+    console.warn(`⚠️ Can't rotate the key of group ${groupId} without its current secret`);
+    return { error: 'group_key_missing' };
+  }
+
+  const epoch = state.epoch + 1;
+  const secret = GroupCrypto.generateGroupSecret();
+  const excluded = new Set([...excludedUserIds, ...(groupModeration[groupId] || DEFAULT_MODERATION).banned]);
+  const publicKeys = Object.fromEntries((groupRosters[groupId] || [])
+    .filter(member => member.publicKey && !excluded.has(member.userId))
+    .map(member => [member.userId, member.publicKey]));
+  publicKeys[profile.userId] = profile.publicKey;
+
+  const { ephemeralKey, wrappedKeys } = await GroupCrypto.wrapSecret(secret, groupId, epoch, publicKeys);
+  const key = await GroupCrypto.deriveGroupKey(secret, groupId, epoch);
+  const history = await GroupCrypto.seal(key, groupId, epoch, state.secrets);
+
+  console.log(`🔑 Rotating the key of group ${groupId} to epoch ${epoch}`);
+  await queueMessage({
+    type: 'rotate_group_key',
+    groupId,
+    epoch,
+    rotation: { ephemeralKey, wrappedKeys, history }
   });
+  return { epoch };
 }
 
-function handleGroupUpdate(update) {
-  console.log('👥 handleGroupUpdate:', update);
-  chrome.storage.local.get(['groups'], ({ groups = {} }) => {
-    groups[update.groupId] = {
-      ...(groups[update.groupId] || {}),
-      memberCount: update.memberCount
-    };
-    chrome.storage.local.set({ groups }, () => {
-      try {
-        chrome.runtime.sendMessage({
-          type: 'group_info_updated',
-          data: { groupId: update.groupId, memberCount: update.memberCount }
-        }).catch(() => {
-          // Ignore errors when no receivers are available
-          console.log('No receivers for group info update message');
-        });
-      } catch (error) {
-        // Ignore errors when sending messages
-        console.log('Error sending group info update message');
-      }
-    });
+// Whoever removed a member rotates the key, so the removed member can't read what comes next
+// keyEpoch tells a fresh removal from one replayed after a reconnect, when the key has moved on already
+async function rotateAfterRemoval(message) {
+  const [state, { userId }] = await Promise.all([getGroupSecrets(message.groupId), getUserProfile()]);
+  if (!state || message.removedBy?.userId !== userId || state.epoch !== message.keyEpoch) return;
+
+  await rotateGroupKey(message.groupId, [message.userId]);
+}
+
+// What members need to let someone else into an encrypted group
+async function getGroupSecret(groupId = currentGroupId) {
+  const state = await getGroupSecrets(groupId);
+  return {
+    groupId,
+    encrypted: Boolean(state),
+    epoch: state ? state.epoch : null,
+    secret: state ? state.secrets[state.epoch] || null : null
+  };
+}
+
+// Discussions are stored as { [groupId]: { [thread]: messages } } where thread is
+// 'group' for the group chat, 'tab:<shared tab id>' or 'cluster:<cluster id>'
+function resolveThreads(threads = {}, roster = []) {
+  return Object.fromEntries(
+    Object.entries(threads).map(([thread, messages]) => [thread, resolveIdentities(messages, roster)])
+  );
+}
+
+// Called when a "chat_message" message arrives from the server
+async function handleChatMessage(message) {
+  const { groupId, thread } = message;
+  const { discussions = {}, groupRosters = {} } = await chrome.storage.local.get(['discussions', 'groupRosters']);
+  const [chatMessage] = resolveIdentities([message.data], groupRosters[groupId] || []);
+
+  const threads = discussions[groupId] || {};
+  const messages = threads[thread] || [];
+  if (messages.some(entry => entry.id === chatMessage.id)) return;
+
+  threads[thread] = [...messages, chatMessage].slice(-TabTalkProtocol.MAX_THREAD_MESSAGES);
+  discussions[groupId] = threads;
+  await chrome.storage.local.set({ discussions });
+
+  notifyUI('chat_message', { groupId, thread, message: chatMessage });
+  notifyUnreadCounts();
+}
+
+function sendChatMessage(groupId = currentGroupId, thread = 'group', text) {
+  if (!groupId || !text || !text.trim()) return;
+
+  console.log('💬 Sending chat message to', groupId, thread);
+  queueMessage({
+    type: 'chat_message',
+    groupId,
+    thread,
+    id: crypto.randomUUID(),
+    text: text.trim()
   });
 }
-// Called when a "tab_shared" message arrives from the server
-function handleSharedTab(tabData) {
-  console.log('🔄 handleSharedTab:', tabData);
-  chrome.storage.local.get(['sharedTabs'], ({ sharedTabs = [] }) => {
-    // Check if tab already exists by URL AND groupId (to allow same URL in different groups)
-    // Also check if timestamp is significantly different (more than 1 second) to avoid echo from server
-    const existingTab = sharedTabs.find(tab =>
-      tab.url === tabData.url &&
-      tab.groupId === tabData.groupId &&
-      Math.abs(tab.timestamp - tabData.timestamp) > 1000 // More than 1 second difference
-    );
-    
-    if (existingTab) {
-      console.warn('⚠️ Duplicate tab detected:', tabData.url);
-      console.warn('⚠️ This tab was already shared at:', new Date(existingTab.timestamp).toLocaleString());
-      
-      // Notify UI about duplicate
-      try {
-        chrome.runtime.sendMessage({
-          type: 'duplicate_tab_warning',
-          data: {
-            url: tabData.url,
-            title: tabData.title,
-            originalTimestamp: existingTab.timestamp
-          }
-        }).catch(() => {
-          console.log('No receivers for duplicate warning');
-        });
-      } catch (error) {
-        console.log('Error sending duplicate warning');
+
+async function getChatMessages(groupId = currentGroupId, thread = 'group') {
+  const { discussions = {} } = await chrome.storage.local.get(['discussions']);
+  return (discussions[groupId] || {})[thread] || [];
+}
+
+// Remember the newest message of a thread as read
+async function markThreadRead(groupId = currentGroupId, thread = 'group') {
+  const { discussions = {}, discussionReads = {} } =
+    await chrome.storage.local.get(['discussions', 'discussionReads']);
+  const messages = (discussions[groupId] || {})[thread] || [];
+  if (messages.length === 0) return;
+
+  discussionReads[groupId] = {
+    ...(discussionReads[groupId] || {}),
+    [thread]: Math.max(...messages.map(entry => entry.timestamp))
+  };
+  await chrome.storage.local.set({ discussionReads });
+  notifyUnreadCounts();
+}
+
+// Unread messages from other members: { [groupId]: { total, threads: { [thread]: count } } }
+async function getUnreadCounts() {
+  const { discussions = {}, discussionReads = {} } =
+    await chrome.storage.local.get(['discussions', 'discussionReads']);
+  const { userId } = await getUserProfile();
+
+  return Object.fromEntries(Object.entries(discussions).map(([groupId, threads]) => {
+    const reads = discussionReads[groupId] || {};
+    const counts = { total: 0, threads: {} };
+
+    Object.entries(threads).forEach(([thread, messages]) => {
+      const unread = messages.filter(entry =>
+        entry.timestamp > (reads[thread] || 0) && entry.createdBy?.userId !== userId
+      ).length;
+      if (unread > 0) {
+        counts.threads[thread] = unread;
+        counts.total += unread;
       }
-      
-      // Don't add duplicate
-      return;
-    }
-    
-    // Check if this is just an echo from the server (same timestamp within 1 second)
-    const isEcho = sharedTabs.some(tab =>
-      tab.url === tabData.url &&
-      Math.abs(tab.timestamp - tabData.timestamp) <= 1000
-    );
-    
-    if (isEcho) {
-      console.log('ℹ️ Ignoring echo from server for:', tabData.url);
-      return;
-    }
-    
-    // Tab is new, add it
-    sharedTabs.push(tabData);
-    chrome.storage.local.set({ sharedTabs }, () => {
-      const clusters = computeClusters(sharedTabs);
-      
-      // Store clusters
-      chrome.storage.local.set({ aiClusters: clusters }, () => {
-        // Notify UI components about updated clusters with better error handling
-        try {
-          chrome.runtime.sendMessage({
-            type: 'clusters_updated',
-            data: clusters
-          }).catch((error) => {
-            // Handle specific error types
-            if (error.message.includes('Receiving end does not exist')) {
-              console.log('ℹ️ No active UI components to receive clusters update');
-            } else {
-              console.error('❌ Error sending clusters update message:', error);
-            }
-          });
-        } catch (error) {
-          console.error('❌ Error sending clusters update message:', error);
-        }
-        
-        console.log('📊 Updated clusters after new tab:', clusters);
-      });
     });
-  });
+
+    return [groupId, counts];
+  }));
 }
 
-// Called when a "annotation_update" arrives
-function handleAnnotationUpdate(annData) {
-  console.log('🖋 handleAnnotationUpdate called with:', annData);
-  // (Implement annotation handling similarly)
+async function notifyUnreadCounts() {
+  notifyUI('unread_counts_updated', await getUnreadCounts());
 }
 
-// Called when a "ai_cluster_update" arrives
-function handleAIClusterUpdate(clusterData) {
-  console.log('🤖 handleAIClusterUpdate called with:', clusterData);
-  chrome.storage.local.set({ aiClusters: clusterData }, () => {
-    try {
-      chrome.runtime.sendMessage({
-        type: 'clusters_updated',
-        data: clusterData
-      }).catch(() => {
-        // Ignore errors when no receivers are available
-        console.log('No receivers for clusters update message');
-      });
-    } catch (error) {
-      // Ignore errors when sending messages
-      console.log('Error sending clusters update message');
+// Drop the discussion threads of tabs that are no longer shared in a group, like the server does
+async function pruneTabThreads(groupId, sharedTabs) {
+  const { discussions = {} } = await chrome.storage.local.get(['discussions']);
+  const threads = discussions[groupId];
+  if (!threads) return;
+
+  const tabIds = new Set(sharedTabs.filter(tab => tab.groupId === groupId).map(tab => tab.id));
+  Object.keys(threads).forEach(thread => {
+    if (thread.startsWith('tab:') && !tabIds.has(thread.slice(4))) {
+      delete threads[thread];
     }
   });
+  await chrome.storage.local.set({ discussions });
+  notifyUnreadCounts();
 }
 
-// Compute clusters based on content categories
-function computeClusters(sharedTabs) {
-  console.log('🧩 Computing clusters from tabs:', sharedTabs);
-  
-  if (!Array.isArray(sharedTabs) || sharedTabs.length === 0) {
-    console.log('⚠️ No tabs to cluster');
-    return [];
+// Annotations are anchored to a page regardless of its #fragment
+function normalizeAnnotationUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (error) {
+    return url;
   }
-  
-  // Trigger AI clustering asynchronously (don't wait for it)
-  // Lower threshold to 1 tab so AI can categorize even single tabs
-  if (sharedTabs.length >= 1) {
-    console.log('🤖 Triggering AI categorization for', sharedTabs.length, 'tabs');
-    updateAIClusters().catch(error => {
-      console.error('❌ AI clustering failed:', error);
-    });
+}
+
+// Called when a "annotation_update" arrives; data is the whole thread, or just its ID when deleted
+async function handleAnnotationUpdate(message) {
+  const thread = { ...message.data, groupId: message.groupId };
+  console.log('🖋 handleAnnotationUpdate:', message.action, thread.id);
+
+  const { annotations = [], groupRosters = {} } =
+    await chrome.storage.local.get(['annotations', 'groupRosters']);
+  const index = annotations.findIndex(annotation =>
+    annotation.id === thread.id && annotation.groupId === thread.groupId
+  );
+  const pageUrl = index !== -1 ? annotations[index].url : thread.url;
+
+  if (message.action === 'deleted') {
+    if (index !== -1) annotations.splice(index, 1);
   } else {
-    console.log('ℹ️ Skipping AI categorization - no tabs to process');
+    const [resolvedThread] = resolveIdentities([thread], groupRosters[message.groupId] || []);
+    if (index !== -1) {
+      annotations[index] = resolvedThread;
+    } else {
+      annotations.push(resolvedThread);
+    }
   }
-  
-  // Return simple domain grouping immediately as a fallback
-  // AI results will update the clusters when ready
-  console.log('🔄 Using simple domain grouping as initial fallback');
-  return simpleGroupByDomain(sharedTabs);
+
+  await chrome.storage.local.set({ annotations });
+
+  notifyUI('annotations_updated', { action: message.action, annotation: thread });
+  if (pageUrl) {
+    pushAnnotationsToTabs(pageUrl);
+  }
+}
+
+// Re-render highlights in open tabs showing the given page, or in every tab when no URL is given
+async function pushAnnotationsToTabs(url = null) {
+  const { annotations = [] } = await chrome.storage.local.get(['annotations']);
+  const tabs = await chrome.tabs.query({});
+
+  tabs.forEach(tab => {
+    if (!tab.url) return;
+
+    const tabUrl = normalizeAnnotationUrl(tab.url);
+    if (url && tabUrl !== url) return;
+
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'annotations_changed',
+      url: tabUrl,
+      annotations: annotations.filter(annotation => annotation.url === tabUrl)
+    }).catch(() => {
+      // Pages without the content script (e.g. chrome:// pages) can't receive it
+    });
+  });
+}
+
+async function getPageAnnotations(url, sendResponse) {
+  const { annotations = [] } = await chrome.storage.local.get(['annotations']);
+  const pageUrl = normalizeAnnotationUrl(url);
+  sendResponse(annotations.filter(annotation => annotation.url === pageUrl));
 }
 
-// Simple temporary clustering function as a fallback
-function temporaryClustering(tabs) {
-  // This is just an alias for simpleGroupByDomain to fix the reference error
-  return simpleGroupByDomain(tabs);
+// Start a new annotation thread on the text matched by selector ({ exact, prefix, suffix })
+async function createAnnotation(url, selector, text, groupIds = [currentGroupId]) {
+  if (!groupIds.some(Boolean)) {
+    console.error('❌ No group joined! Cannot annotate.');
+    return;
+  }
+
+  const data = {
+    id: crypto.randomUUID(),
+    url: normalizeAnnotationUrl(url),
+    selector,
+    text
+  };
+  for (const batch of await batchByEncryption(groupIds.filter(Boolean))) {
+    await queueMessage({ type: 'annotation_created', groupIds: batch, data });
+  }
+}
+
+// Reply to, edit, delete or resolve a thread; fields name the thread (and reply) being changed
+function sendAnnotationAction(type, groupId, fields) {
+  queueMessage({
+    type,
+    groupId: groupId || currentGroupId,
+    ...fields
+  });
+}
+
+// Called when a "ai_cluster_update" arrives
+// Another member's clusters don't replace ours, which only change when we recluster; tabs we haven't
+// sorted yet are classified into our clusters like any new share
+async function handleAIClusterUpdate(clusterData, groupId) {
+  console.log('🤖 handleAIClusterUpdate called with:', clusterData);
+
+  // Stored clusters belong to the active group only
+  if (groupId !== currentGroupId) return;
+
+  const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+  refreshActiveClusters(sharedTabs);
 }
 
 // Path to the offscreen document
@@ -454,11 +2014,12 @@ async function initializeAI() {
     // Wait a moment to ensure the offscreen document is fully loaded
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    // Get the API key from storage
-    const { geminiApiKey } = await chrome.storage.local.get(['geminiApiKey']);
+    const settings = await getAISettings();
+    const problem = AIProviders.checkSettings(settings);
     
-    if (!geminiApiKey) {
-      console.warn('⚠️ No Gemini API key found in storage. Please set your API key in Settings.');
+    if (problem) {
+      console.warn(`⚠️ AI provider ${settings.provider} is not usable (${problem}). Please check your AI settings.`);
+      aiInitialized = false;
       return false;
     }
     
@@ -468,7 +2029,7 @@ async function initializeAI() {
         chrome.runtime.sendMessage({
           type: 'init-ai',
           target: 'offscreen',
-          apiKey: geminiApiKey
+          settings
         }, (response) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
@@ -494,6 +2055,30 @@ async function initializeAI() {
   }
 }
 
+// The user's AI provider settings: { provider, model, endpoint, apiKey }
+async function getAISettings() {
+  const { aiSettings, geminiApiKey } = await chrome.storage.local.get(['aiSettings', 'geminiApiKey']);
+  return AIProviders.normalizeSettings(aiSettings, geminiApiKey);
+}
+
+// Switching providers starts from that provider's defaults rather than the old model and endpoint
+async function updateAISettings(changes = {}) {
+  const current = await getAISettings();
+  const base = changes.provider && changes.provider !== current.provider
+    ? { provider: changes.provider }
+    : current;
+  const settings = AIProviders.normalizeSettings({ ...base, ...changes });
+
+  const problem = AIProviders.checkSettings(settings);
+  if (problem) {
+    return { error: problem };
+  }
+
+  await chrome.storage.local.set({ aiSettings: settings });
+  const ready = await initializeAI();
+  return { settings, ready };
+}
+
 // Helper function to create an offscreen document if it doesn't exist
 async function createOffscreenDocumentIfNeeded() {
   try {
@@ -518,7 +2103,7 @@ async function createOffscreenDocumentIfNeeded() {
     await chrome.offscreen.createDocument({
       url: OFFSCREEN_DOCUMENT_PATH,
       reasons: [chrome.offscreen.Reason.DOM_PARSER],
-      justification: 'Access Google Gemini AI for tab categorization and discussion prompts'
+      justification: 'Reach the configured AI provider for tab categorization and discussion prompts'
     });
     
     console.log('✅ Offscreen document created successfully');
@@ -555,6 +2140,163 @@ async function closeOffscreenDocument() {
   }
 }
 
+// Privacy rules for sharing, kept in userPreferences:
+//   privacyMode 'selective' auto-shares any page not on blockedDomains and not on a private network,
+//   'allowlist' auto-shares only pages on allowedDomains
+//   a domain in either list covers its subdomains too
+// Incognito tabs, non-web pages and tabs marked "never share" are never shared, not even by hand
+const PRIVACY_MODES = ['selective', 'allowlist'];
+// Mail, sign-in and payment pages rarely belong in a group; users can take them off the list
+const DEFAULT_BLOCKED_DOMAINS = [
+  'mail.google.com', 'outlook.live.com', 'outlook.office.com', 'mail.yahoo.com', 'proton.me',
+  'accounts.google.com', 'login.microsoftonline.com', 'paypal.com'
+];
+// Query parameters that carry credentials or identify the user; matched case-insensitively
+const SENSITIVE_QUERY_PARAMS = [
+  'token', 'access_token', 'id_token', 'refresh_token', 'auth', 'authorization', 'code', 'state', 'session',
+  'sessionid', 'sid', 'key', 'api_key', 'apikey', 'password', 'pass', 'pwd', 'secret', 'signature', 'sig',
+  'otp', 'jwt', 'ticket', 'email', 'fbclid', 'gclid', 'msclkid', 'mc_eid'
+];
+// Host names that only make sense inside a private network
+const PRIVATE_HOST_SUFFIXES = ['.local', '.internal', '.intranet', '.corp', '.lan', '.home.arpa'];
+
+// The user's privacy settings with defaults filled in
+async function getPrivacySettings() {
+  const { userPreferences = {} } = await chrome.storage.local.get(['userPreferences']);
+  return {
+    privacyMode: PRIVACY_MODES.includes(userPreferences.privacyMode) ? userPreferences.privacyMode : 'selective',
+    allowedDomains: userPreferences.allowedDomains || [],
+    blockedDomains: userPreferences.blockedDomains || DEFAULT_BLOCKED_DOMAINS
+  };
+}
+
+// Reduce what the user typed ("https://*.Example.com/path") to a bare domain, or null
+function normalizeDomain(value) {
+  if (typeof value !== 'string') return null;
+
+  const host = value.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^(\*?\.)+/, '');
+  return /^[a-z0-9.-]+$/.test(host) && !host.startsWith('.') && !host.endsWith('.') ? host : null;
+}
+
+async function updatePrivacySettings(changes = {}) {
+  const { userPreferences = {} } = await chrome.storage.local.get(['userPreferences']);
+  const cleanList = list => [...new Set(list.map(normalizeDomain).filter(Boolean))];
+
+  const next = { ...userPreferences };
+  if (PRIVACY_MODES.includes(changes.privacyMode)) {
+    next.privacyMode = changes.privacyMode;
+  }
+  if (Array.isArray(changes.allowedDomains)) {
+    next.allowedDomains = cleanList(changes.allowedDomains);
+  }
+  if (Array.isArray(changes.blockedDomains)) {
+    next.blockedDomains = cleanList(changes.blockedDomains);
+  }
+
+  await chrome.storage.local.set({ userPreferences: next });
+  return getPrivacySettings();
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function isPrivateHost(hostname) {
+  if (!hostname.includes('.') || hostname === 'localhost' || hostname.startsWith('[')) return true;
+  if (PRIVATE_HOST_SUFFIXES.some(suffix => hostname.endsWith(suffix))) return true;
+
+  const octets = hostname.split('.').map(Number);
+  if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet))) return false;
+  const [first, second] = octets;
+  return first === 10 || first === 127 ||
+    (first === 172 && second >= 16 && second <= 31) ||
+    (first === 192 && second === 168) ||
+    (first === 169 && second === 254);
+}
+
+function parseWebUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Drop the fragment, any user:password and the sensitive query parameters of a URL before it leaves the browser
+function sanitizeShareUrl(url) {
+  const parsed = parseWebUrl(url);
+  if (!parsed) return url;
+
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+  [...parsed.searchParams.keys()].forEach(name => {
+    const lower = name.toLowerCase();
+    if (SENSITIVE_QUERY_PARAMS.includes(lower) || lower.startsWith('utm_')) {
+      parsed.searchParams.delete(name);
+    }
+  });
+  return parsed.toString();
+}
+
+// Chrome tab IDs marked "never share"; tab IDs only last for the browser session, and so does the list
+async function getNeverShareTabs() {
+  const { neverShareTabs = [] } = await chrome.storage.session.get(['neverShareTabs']);
+  return neverShareTabs;
+}
+
+async function setNeverShare(tabId, neverShare) {
+  const neverShareTabs = (await getNeverShareTabs()).filter(id => id !== tabId);
+  if (neverShare) {
+    neverShareTabs.push(tabId);
+  }
+  await chrome.storage.session.set({ neverShareTabs });
+}
+
+// Why a tab may not be shared at all, or null if it may
+async function checkShare(tab) {
+  if (tab.incognito) return 'incognito';
+  if (!parseWebUrl(tab.url)) return 'unsupported_page';
+  if ((await getNeverShareTabs()).includes(tab.id)) return 'never_share';
+  return null;
+}
+
+// Why a tab may not be shared automatically, or null if it may
+async function checkAutoShare(tab) {
+  const reason = await checkShare(tab);
+  if (reason) return reason;
+
+  const { privacyMode, allowedDomains, blockedDomains } = await getPrivacySettings();
+  const { hostname } = parseWebUrl(tab.url);
+  if (matchesDomain(hostname, allowedDomains)) return null;
+  if (privacyMode === 'allowlist') return 'not_allowed';
+  if (matchesDomain(hostname, blockedDomains)) return 'blocked_domain';
+  if (isPrivateHost(hostname)) return 'private_network';
+  return null;
+}
+
+// What the privacy rules say about one tab, for the popup's "never share" toggle
+async function getTabPrivacy(tabId) {
+  const tab = tabId ? await chrome.tabs.get(tabId) : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!tab) return { error: 'tab_not_found' };
+
+  return {
+    tabId: tab.id,
+    neverShare: (await getNeverShareTabs()).includes(tab.id),
+    shareBlockedBy: await checkShare(tab),
+    autoShareBlockedBy: await checkAutoShare(tab)
+  };
+}
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  setNeverShare(tabId, false);
+});
+
 // Tab management and sharing
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   if (currentGroupId) {
@@ -571,48 +2313,64 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 async function processTabForSharing(tab) {
   const settings = await chrome.storage.local.get(['userPreferences']);
+  if (!settings.userPreferences?.autoShare) return;
 
-  if (settings.userPreferences?.autoShare) {
-    await shareTab(tab);
+  const reason = await checkAutoShare(tab);
+  if (reason) {
+    console.log(`🙈 Not auto-sharing tab ${tab.id}: ${reason}`);
+    return;
   }
+  await shareTab(tab);
 }
 
 // Enhanced share tab function
-async function shareTab(tab) {
-  console.log('📤 Sharing tab:', tab.title, tab.url);
+// groupIds picks which of our groups receive the tab; defaults to the active group
+async function shareTab(tab, groupIds = [currentGroupId]) {
+  const blockedBy = await checkShare(tab);
+  if (blockedBy) {
+    console.warn(`🙈 Not sharing tab ${tab.id}: ${blockedBy}`);
+    notifyUI('share_blocked', { tabId: tab.id, reason: blockedBy });
+    return;
+  }
+
+  const url = sanitizeShareUrl(tab.url);
+  console.log('📤 Sharing tab:', tab.title, url, 'to groups:', groupIds);
   
-  if (!currentGroupId) {
+  const userGroups = await getUserGroups();
+  const targetGroupIds = groupIds.filter(groupId => userGroups.includes(groupId));
+  if (targetGroupIds.length === 0) {
     console.error('❌ No group to share to!');
     return;
   }
   
+  const { userId, displayName, color, avatar } = await getUserProfile();
   const sharedTab = {
-    id: tab.id,
+    // Stable ID used by the whole group to update or remove this share
+    id: crypto.randomUUID(),
     title: tab.title,
-    url: tab.url,
-    summary: 'No summary available',
+    url,
+    ...await describeTab(tab, url),
     timestamp: Date.now(),
-    groupId: currentGroupId
+    sharedBy: { userId, displayName, color, avatar }
   };
   
   console.log('📦 Prepared tab data:', sharedTab);
   
-  // Store locally
+  // Store a local copy per target group; which browser tab it came from is ours to know, not the group's
   const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
-  sharedTabs.push(sharedTab);
+  targetGroupIds.forEach(groupId => sharedTabs.push({ ...sharedTab, chromeTabId: tab.id, groupId, deliveryStatus: 'pending' }));
   await chrome.storage.local.set({ sharedTabs });
   console.log('💾 Stored locally, total tabs:', sharedTabs.length);
   
-  // Send to server
-  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
+  // Queue for the server; it goes out now if we're connected, otherwise on reconnect
+  for (const batch of await batchByEncryption(targetGroupIds)) {
     const shareMessage = {
       type: 'share_tab',
+      groupIds: batch,
       data: sharedTab
     };
-    console.log('📤 Sending share message:', shareMessage);
-    wsConnection.send(JSON.stringify(shareMessage));
-  } else {
-    console.error('❌ Cannot send to server, WebSocket state:', wsConnection?.readyState);
+    console.log('📤 Queueing share message:', shareMessage);
+    await queueMessage(shareMessage);
   }
   
   // Update UI
@@ -630,129 +2388,209 @@ async function shareTab(tab) {
   }
 }
 
-// AI-powered tab clustering using Gemini AI
-async function updateAIClusters() {
-  console.log('🤖 Attempting AI-powered tab clustering...');
-  
+// Page content attached to shares: the first words of the page, a reading time and a short AI summary
+const WORDS_PER_MINUTE = 200;
+const MAX_PAGE_TEXT = 20000; // Characters of page text kept for summarizing
+const EXCERPT_LENGTH = 280;
+const SUMMARY_TIMEOUT = 15000; // Don't hold a share back longer than this waiting for the AI
+
+// Runs inside the page: the readable main text, without navigation, scripts and the like
+function readPageText(maxLength) {
+  const root = document.querySelector('article, main, [role="main"]') || document.body;
+  if (!root) return null;
+
+  const copy = root.cloneNode(true);
+  copy.querySelectorAll('script, style, noscript, template, svg, nav, header, footer, aside, form, iframe, [aria-hidden="true"]')
+    .forEach(element => element.remove());
+
+  const description = document.querySelector('meta[name="description"], meta[property="og:description"]');
+  return {
+    text: (copy.innerText || copy.textContent || '').replace(/\s+/g, ' ').trim().slice(0, maxLength),
+    description: description ? description.content.trim() : ''
+  };
+}
+
+// Read the page behind a tab; null if the page can't be scripted (e.g. the Web Store or a PDF)
+async function extractPageContent(tabId) {
   try {
-    const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: readPageText,
+      args: [MAX_PAGE_TEXT]
+    });
+    return injection?.result || null;
+  } catch (error) {
+    console.warn(`⚠️ Could not read page content of tab ${tabId}:`, error.message);
+    return null;
+  }
+}
 
-    if (sharedTabs.length < 1) {
-      console.log('⚠️ No tabs to cluster');
-      return;
-    }
-    
-    console.log('📊 Processing', sharedTabs.length, 'tab(s) for AI categorization');
+// Cut text at a word boundary so it fits in length characters, ellipsis included
+function truncateText(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
 
-    // Make sure the offscreen document is created
-    const offscreenCreated = await createOffscreenDocumentIfNeeded();
-    
-    if (!offscreenCreated) {
-      throw new Error('Failed to create offscreen document');
-    }
-    
-    // Wait a moment to ensure the document is fully loaded
-    await new Promise(resolve => setTimeout(resolve, 300));
-    
-    // Send the tabs to the offscreen document for AI categorization
-    console.log('🧠 Sending tabs to Gemini AI for categorization');
-    try {
-      // Use a Promise to handle the response
-      const response = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          type: 'categorize-tabs',
-          target: 'offscreen',
-          tabs: sharedTabs
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(response);
-          }
-        });
-      });
-      
-      console.log('✅ Tab categorization response:', response);
-      
-      // Process the clusters directly from the response
-      if (response && response.clusters) {
-        await handleTabsCategorized({ clusters: response.clusters });
-      } else if (response && response.error) {
-        throw new Error(response.error);
-      }
-    } catch (sendError) {
-      console.error('❌ Failed to send message to offscreen document:', sendError);
-      throw sendError;
-    }
+// Ask the AI provider for a summary of a page; null if AI is off, unavailable or too slow
+async function summarizePage(page) {
+  const { userPreferences = {} } = await chrome.storage.local.get(['userPreferences']);
+  if (userPreferences.aiEnabled === false || !aiInitialized) return null;
 
+  try {
+    const response = await requestFromOffscreen({ type: 'summarize-page', page }, SUMMARY_TIMEOUT);
+    return response?.summary || null;
   } catch (error) {
-    console.error('❌ AI clustering failed:', error);
-    
-    // Get the shared tabs again in case they've changed
-    const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
-    
-    // If AI clustering fails, fall back to a simple categorization
-    console.log('⚠️ Falling back to simple domain grouping temporarily');
-    const simpleClusters = simpleGroupByDomain(sharedTabs);
-    
-    // Store the clusters
-    await chrome.storage.local.set({ aiClusters: simpleClusters });
-    
-    // Notify UI components with better error handling
-    try {
-      chrome.runtime.sendMessage({
-        type: 'clusters_updated',
-        data: simpleClusters
-      }).catch((error) => {
-        // Handle specific error types
-        if (error.message.includes('Receiving end does not exist')) {
-          console.log('ℹ️ No active UI components to receive clusters update');
-        } else {
-          console.error('❌ Error sending clusters update message:', error);
-        }
-      });
-    } catch (error) {
-      console.error('❌ Error sending clusters update message:', error);
-    }
+    console.warn('⚠️ Page summary failed:', error.message);
+    return null;
   }
 }
 
-// Simple domain grouping as a temporary fallback
-// This doesn't use hardcoded patterns, just groups by domain
-function simpleGroupByDomain(tabs) {
-  const domainGroups = {};
-  
-  tabs.forEach(tab => {
+// Summary, excerpt and reading time for a tab about to be shared
+// Falls back to the page's own description, then to the placeholder, when there is no AI summary
+async function describeTab(tab, url) {
+  const page = await extractPageContent(tab.id);
+  if (!page || !page.text) {
+    return { summary: page?.description ? truncateText(page.description, EXCERPT_LENGTH) : 'No summary available' };
+  }
+
+  const words = page.text.split(' ').length;
+  const excerpt = truncateText(page.text, EXCERPT_LENGTH);
+  const summary = await summarizePage({ title: tab.title, url, text: page.text });
+
+  return {
+    summary: summary || truncateText(page.description || excerpt, EXCERPT_LENGTH),
+    excerpt,
+    readingTime: Math.max(1, Math.round(words / WORDS_PER_MINUTE))
+  };
+}
+
+// Send a request to the offscreen document and wait for its reply; rejects on an error reply or after timeout ms
+async function requestFromOffscreen(message, timeout) {
+  const offscreenCreated = await createOffscreenDocumentIfNeeded();
+  if (!offscreenCreated) {
+    throw new Error('Failed to create offscreen document');
+  }
+
+  const response = await new Promise((resolve, reject) => {
+    const timer = timeout && setTimeout(() => reject(new Error('Timed out')), timeout);
+    chrome.runtime.sendMessage({ ...message, target: 'offscreen' }, (response) => {
+      clearTimeout(timer);
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+
+  if (response && response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
+
+// Sort a group's unclustered tabs into its clusters using the configured AI provider, or with full,
+// cluster all of its tabs from scratch. Without AI, or when it fails, offline topic clustering does the sorting.
+async function updateAIClusters(groupId = currentGroupId, { full = false } = {}) {
+  const { sharedTabs: allTabs = [], userPreferences = {} } = await chrome.storage.local.get(['sharedTabs', 'userPreferences']);
+  const groupTabs = allTabs.filter(tab => tab.groupId === groupId);
+  const previous = await getGroupClusters(groupId);
+
+  // Forget tabs that were removed since, and the clusters they leave empty
+  const tabIds = new Set(groupTabs.map(tab => tab.id));
+  const clusters = full ? [] : previous
+    .map(cluster => ({ ...cluster, tabIds: cluster.tabIds.filter(tabId => tabIds.has(tabId)) }))
+    .filter(cluster => cluster.tabIds.length > 0);
+
+  const placed = new Set(clusters.flatMap(cluster => cluster.tabIds));
+  const newTabs = groupTabs.filter(tab => !placed.has(tab.id));
+
+  let result = { assignments: [], newClusters: [] };
+  if (newTabs.length > 0 && userPreferences.aiEnabled !== false) {
+    console.log('📊 Sorting', newTabs.length, 'tab(s) into', clusters.length, 'cluster(s)');
     try {
-      // Extract domain from URL
-      const url = new URL(tab.url);
-      const domain = url.hostname;
-      
-      // Initialize group if it doesn't exist
-      if (!domainGroups[domain]) {
-        domainGroups[domain] = [];
+      // Uncategorized is where tabs the AI couldn't place went, not a category to offer it
+      const categories = clusters.filter(cluster => cluster.name !== AIProviders.UNCATEGORIZED);
+      if (categories.length === 0) {
+        // Nothing to sort into yet: let the AI come up with the first clusters
+        const response = await requestFromOffscreen({ type: 'categorize-tabs', tabs: newTabs });
+        result.newClusters = response.clusters.map(cluster => ({
+          name: cluster.name,
+          theme: cluster.theme,
+          tabIds: cluster.tabs.map(tab => tab.id)
+        }));
+      } else {
+        const tabsById = new Map(groupTabs.map(tab => [tab.id, tab]));
+        result = await requestFromOffscreen({
+          type: 'classify-tabs',
+          clusters: categories.map(cluster => ({
+            id: cluster.id,
+            name: cluster.name,
+            theme: cluster.theme,
+            titles: cluster.tabIds.map(tabId => tabsById.get(tabId).title)
+          })),
+          tabs: newTabs
+        });
       }
-      
-      // Add tab to group
-      domainGroups[domain].push(tab);
     } catch (error) {
-      // Handle invalid URLs
-      console.error('❌ Error parsing URL:', tab.url, error);
-      
-      // Put in "Other" category
-      if (!domainGroups['Other']) {
-        domainGroups['Other'] = [];
-      }
-      domainGroups['Other'].push(tab);
+      console.error('❌ AI clustering failed:', error);
+      console.log('⚠️ Falling back to offline topic clustering for the new tabs');
     }
+  }
+
+  let nextClusters = placeTabs(clusters, result, newTabs);
+  const placedNow = new Set(nextClusters.flatMap(cluster => cluster.tabIds));
+  const leftTabs = newTabs.filter(tab => !placedNow.has(tab.id));
+  if (leftTabs.length > 0) {
+    const tabsById = new Map(groupTabs.map(tab => [tab.id, tab]));
+    const local = TopicClustering.classify(
+      nextClusters.map(cluster => ({ id: cluster.id, tabs: cluster.tabIds.map(tabId => tabsById.get(tabId)) })),
+      leftTabs
+    );
+    nextClusters = placeTabs(nextClusters, local, leftTabs);
+  }
+  await saveGroupClusters(groupId, nextClusters);
+
+  // Clusters shown are the active group's; another group's wait until it is active again
+  if (groupId === currentGroupId) {
+    await publishClusters(buildClusterView(nextClusters, groupTabs));
+  }
+}
+
+// Apply a classification to a copy of clusters: assignments into existing clusters, then new clusters
+// A new cluster with the name of an existing one is merged into it, and its ID comes from its name, the way a
+// previous cluster of that name got its ID. Tabs the classification missed stay unplaced.
+function placeTabs(clusters, { assignments = [], newClusters = [] }, newTabs) {
+  const nextClusters = clusters.map(cluster => ({ ...cluster, tabIds: [...cluster.tabIds] }));
+  const unplaced = new Set(newTabs.map(tab => tab.id));
+
+  const place = (cluster, tabId) => {
+    if (unplaced.delete(tabId)) {
+      cluster.tabIds.push(tabId);
+    }
+  };
+  const clusterNamed = (name, theme) => {
+    const key = name.trim().toLowerCase();
+    let cluster = nextClusters.find(existing => existing.name.toLowerCase() === key);
+    if (!cluster) {
+      const taken = new Set(nextClusters.map(existing => existing.id));
+      cluster = { id: TabTalkProtocol.clusterId(name, taken), name: name.trim(), theme, tabIds: [] };
+      nextClusters.push(cluster);
+    }
+    return cluster;
+  };
+
+  assignments.forEach(({ tabId, clusterId }) => {
+    const cluster = nextClusters.find(existing => existing.id === clusterId);
+    if (cluster) place(cluster, tabId);
   });
-  
-  // Convert to clusters format
-  return Object.entries(domainGroups).map(([domain, tabs]) => ({
-    name: domain,
-    tabs: tabs,
-    theme: `Content from ${domain}`
-  }));
+  newClusters.forEach(({ name, theme, tabIds }) => {
+    const cluster = clusterNamed(name, theme);
+    tabIds.forEach(tabId => place(cluster, tabId));
+  });
+
+  return nextClusters.filter(cluster => cluster.tabIds.length > 0);
 }
 
 // Enhanced message handling for AI-related messages with error handling
@@ -777,10 +2615,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         handleAIInitialized(message.data);
         break;
         
-      case 'tabs-categorized':
-        handleTabsCategorized(message.data);
-        break;
-        
       case 'discussion-prompts-generated':
         handleDiscussionPromptsGenerated(message.data);
         break;
@@ -817,36 +2651,6 @@ function handleAIInitialized(data) {
   }
 }
 
-// Handle tabs categorization result
-async function handleTabsCategorized(data) {
-  if (data.error) {
-    console.error('❌ Tab categorization error:', data.error);
-    return;
-  }
-  
-  if (!data.clusters || !Array.isArray(data.clusters)) {
-    console.error('❌ Invalid clusters data received');
-    return;
-  }
-  
-  console.log('✅ Received AI-generated clusters:', data.clusters);
-  
-  // Store the clusters
-  await chrome.storage.local.set({ aiClusters: data.clusters });
-  
-  // Notify UI components
-  try {
-    chrome.runtime.sendMessage({
-      type: 'clusters_updated',
-      data: data.clusters
-    }).catch(() => {
-      console.log('No receivers for clusters update message');
-    });
-  } catch (error) {
-    console.log('Error sending clusters update message');
-  }
-}
-
 // Handle discussion prompts generation result
 function handleDiscussionPromptsGenerated(data) {
   if (data.error) {
@@ -877,10 +2681,10 @@ function handleDiscussionPromptsGenerated(data) {
 // Removed duplicate message handler - using the one at the top of the file
 
 // Enhanced share tab function
-async function shareCurrentTab() {
-  console.log('📤 shareCurrentTab called, currentGroupId:', currentGroupId);
+async function shareCurrentTab(groupIds = [currentGroupId]) {
+  console.log('📤 shareCurrentTab called, groups:', groupIds);
   
-  if (!currentGroupId) {
+  if (!groupIds.some(Boolean)) {
     console.error('❌ No group joined! Cannot share tab.');
     alert('Please join a group first before sharing tabs!');
     return;
@@ -889,7 +2693,7 @@ async function shareCurrentTab() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     console.log('📋 Current tab:', tab);
-    await shareTab(tab);
+    await shareTab(tab, groupIds);
   } catch (error) {
     console.error('❌ Failed to get current tab:', error);
   }
@@ -911,7 +2715,7 @@ async function generateDiscussionPrompt(clusterData, sendResponse) {
     await new Promise(resolve => setTimeout(resolve, 300));
     
     // Send the cluster data to the offscreen document for AI prompt generation
-    console.log('🧠 Sending cluster data to Gemini AI for discussion prompt generation');
+    console.log('🧠 Sending cluster data to the AI provider for discussion prompt generation');
     try {
       // Use a Promise to handle the response
       const response = await new Promise((resolve, reject) => {
@@ -980,31 +2784,370 @@ async function getClusters(sendResponse) {
   sendResponse(aiClusters);
 }
 
-// Enhanced join group function with better error handling
-function joinGroup(groupId) {
-  console.log('🏠 Setting currentGroupId to:', groupId);
-  currentGroupId = groupId;
-  
+// Remember the credentials that got us into a group so reconnects can rejoin it
+async function saveGroupCredentials(groupId, credentials) {
+  const { groupCredentials = {} } = await chrome.storage.local.get(['groupCredentials']);
+  groupCredentials[groupId] = {
+    ...(groupCredentials[groupId] || {}),
+    ...Object.fromEntries(Object.entries(credentials).filter(([, value]) => value))
+  };
+  await chrome.storage.local.set({ groupCredentials });
+}
+
+// Send a message to the server, connecting first if needed
+// Each message gets a messageId so error replies from the server can point back to it
+function sendToServer(message) {
   if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
-    const joinMessage = {
-      type: 'join_group',
-      groupId: groupId
-    };
-    console.log('📤 Sending join message:', joinMessage);
-    wsConnection.send(JSON.stringify(joinMessage));
-  } else {
-    console.error('❌ WebSocket not connected, readyState:', wsConnection?.readyState);
-    
-    // Initialize WebSocket if not connected
+    const messageId = crypto.randomUUID();
+    console.log(`📤 Sending ${message.type} message ${messageId}`);
+    wsConnection.send(JSON.stringify({ ...message, messageId }));
+    return true;
+  }
+
+  console.error('❌ WebSocket not connected, readyState:', wsConnection?.readyState);
+
+  // Initialize WebSocket if not connected
+  if (!wsConnection || wsConnection.readyState === WebSocket.CLOSED) {
+    initializeWebSocket();
+  }
+  return false;
+}
+
+// Outbox entries are stored as outbox: [{ id, message, status, reason, attempts, createdAt }]
+// status is 'pending' until the server acks the message, or 'failed' if it was refused
+const MAX_OUTBOX_SIZE = 200;
+// The outbox is only sent once our session and groups are back, so messages land in groups we are in
+let outboxReady = false;
+// ID of the entry sent and not yet acked; entries go one at a time so they arrive in order
+let outboxInFlight = null;
+// Outbox changes run one after another so concurrent ones don't overwrite each other
+let outboxUpdates = Promise.resolve();
+
+// change gets the stored entries and returns the new list; resolves with that list
+function updateOutbox(change) {
+  const update = outboxUpdates.then(async () => {
+    const { outbox = [] } = await chrome.storage.local.get(['outbox']);
+    const updated = change(outbox);
+    if (updated === outbox) return outbox;
+
+    await chrome.storage.local.set({ outbox: updated });
+    notifyUI('outbox_updated', {
+      pending: updated.filter(entry => entry.status === 'pending').length,
+      failed: updated.filter(entry => entry.status === 'failed').length
+    });
+    return updated;
+  });
+  outboxUpdates = update.catch(error => console.error('❌ Outbox update failed:', error));
+  return update;
+}
+
+// Queue a group message for delivery; it survives disconnects and service worker restarts
+// The entry ID doubles as the messageId, which the server uses to drop resends
+async function queueMessage(message) {
+  const entry = {
+    id: crypto.randomUUID(),
+    message,
+    status: 'pending',
+    reason: null,
+    attempts: 0,
+    createdAt: Date.now()
+  };
+
+  let queued = false;
+  await updateOutbox(outbox => {
+    if (outbox.length >= MAX_OUTBOX_SIZE) return outbox;
+    queued = true;
+    return [...outbox, entry];
+  });
+
+  if (!queued) {
+    console.error('❌ Outbox is full, not queueing', message.type);
+    notifyUI('outbox_full', { size: MAX_OUTBOX_SIZE });
+    return null;
+  }
+
+  flushOutbox();
+  return entry.id;
+}
+
+// The connection dropped or was replaced; hold the outbox until the next one is ready
+function resetOutbox() {
+  outboxReady = false;
+  outboxInFlight = null;
+}
+
+// Send the oldest pending entry; the next one goes when the server acks it
+async function flushOutbox() {
+  if (outboxInFlight) return;
+
+  if (!outboxReady || !wsConnection || wsConnection.readyState !== WebSocket.OPEN) {
     if (!wsConnection || wsConnection.readyState === WebSocket.CLOSED) {
       initializeWebSocket();
     }
-    
-    // Store the group ID to join after connection is established
-    // The onopen handler will call joinGroup with this ID
+    return;
+  }
+
+  let next = null;
+  await updateOutbox(outbox => {
+    const entry = outbox.find(item => item.status === 'pending');
+    if (!entry || outboxInFlight) return outbox;
+
+    next = { ...entry, attempts: entry.attempts + 1 };
+    outboxInFlight = entry.id;
+    return outbox.map(item => (item.id === entry.id ? next : item));
+  });
+  if (!next) return;
+
+  const { message, error } = await sealGroupMessage(next.message);
+  if (error) {
+    settleOutboxEntry(next.id, 'failed', error);
+    return;
+  }
+
+  console.log(`📤 Sending queued ${next.message.type} message ${next.id}`);
+  wsConnection.send(JSON.stringify({ ...message, messageId: next.id }));
+}
+
+// Record what the server said about an outbox entry
+// result is 'delivered', 'rejected' (an ack follows), 'failed' (no ack follows) or 'retry'
+async function settleOutboxEntry(id, result, reason = null) {
+  let settled = null;
+  await updateOutbox(outbox => {
+    const entry = outbox.find(item => item.id === id);
+    if (!entry) return outbox;
+
+    if (result === 'rejected' || result === 'failed') {
+      settled = { ...entry, status: 'failed', reason };
+      return outbox.map(item => (item.id === id ? settled : item));
+    }
+    // Rejected entries stay so the user can see them, and retry or discard them
+    if (result === 'delivered' && entry.status !== 'failed') {
+      return outbox.filter(item => item.id !== id);
+    }
+    return outbox;
+  });
+
+  if (settled) {
+    console.warn(`⛔ Queued ${settled.message.type} ${id} failed:`, reason);
+    await setShareStatus(settled, 'failed');
+    notifyUI('outbox_failed', { id, type: settled.message.type, reason });
+  }
+
+  if (outboxInFlight === id && result !== 'rejected') {
+    outboxInFlight = null;
+    if (result !== 'retry') {
+      flushOutbox();
+    }
+  }
+}
+
+// Send a failed entry again, e.g. after a moderator unlocked the group
+async function retryOutboxEntry(id) {
+  let retried = null;
+  await updateOutbox(outbox => outbox.map(item => {
+    if (item.id !== id) return item;
+    retried = { ...item, status: 'pending', reason: null };
+    return retried;
+  }));
+  if (!retried) return;
+
+  await setShareStatus(retried, 'pending');
+  flushOutbox();
+}
+
+// Give up on an entry; a share that never arrived is removed from our local copies too
+// An ack for it may still come, and settleOutboxEntry lets the next entry go then
+async function discardOutboxEntry(id) {
+  let discarded = null;
+  await updateOutbox(outbox => {
+    discarded = outbox.find(item => item.id === id) || null;
+    return discarded ? outbox.filter(item => item.id !== id) : outbox;
+  });
+
+  if (discarded && discarded.message.type === 'share_tab') {
+    const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+    await chrome.storage.local.set({
+      sharedTabs: sharedTabs.filter(tab => !(tab.id === discarded.message.data.id && tab.deliveryStatus))
+    });
+  }
+}
+
+// Mark our local copies of a queued share; the server's copy replaces them (without a status) once it arrives
+async function setShareStatus(entry, status) {
+  if (entry.message.type !== 'share_tab') return;
+
+  const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+  await chrome.storage.local.set({
+    sharedTabs: sharedTabs.map(tab => (tab.id === entry.message.data.id && tab.deliveryStatus
+      ? { ...tab, deliveryStatus: status }
+      : tab))
+  });
+}
+
+// Create a new group, optionally protected by a passphrase or invite-only
+// An encrypted group gets groupSecret, or a random secret when none is given
+async function createGroup(groupId, { passphrase, inviteOnly = false, encrypted = false, groupSecret } = {}) {
+  console.log('🆕 Creating group and setting currentGroupId to:', groupId);
+  rememberActiveGroup(groupId);
+  await addUserGroup(groupId);
+
+  if (passphrase) {
+    await saveGroupCredentials(groupId, { passphrase });
+  }
+  if (encrypted) {
+    await saveGroupSecrets(groupId, { epoch: 0, secrets: { 0: groupSecret || GroupCrypto.generateGroupSecret() } });
+  }
+
+  // Kept until the server answers, so a group created while offline is created once we are back
+  const { pendingCreates = {} } = await chrome.storage.local.get(['pendingCreates']);
+  await chrome.storage.local.set({ pendingCreates: { ...pendingCreates, [groupId]: { inviteOnly, encrypted } } });
+
+  await sendCreateGroup(groupId, { inviteOnly, encrypted });
+}
+
+async function sendCreateGroup(groupId, { inviteOnly, encrypted }) {
+  const { groupCredentials = {} } = await chrome.storage.local.get(['groupCredentials']);
+  sendToServer({
+    type: 'create_group',
+    groupId,
+    passphrase: groupCredentials[groupId]?.passphrase,
+    inviteOnly,
+    encrypted,
+    profile: await getUserProfile()
+  });
+}
+
+async function clearPendingCreate(groupId) {
+  const { pendingCreates = {} } = await chrome.storage.local.get(['pendingCreates']);
+  if (!pendingCreates[groupId]) return;
+
+  delete pendingCreates[groupId];
+  await chrome.storage.local.set({ pendingCreates });
+}
+
+// Ask the server for an invite token for one of our groups
+function createInvite(expiresIn, groupId = currentGroupId) {
+  if (!groupId) {
+    console.error('❌ No group joined! Cannot create an invite.');
+    return;
+  }
+
+  sendToServer({
+    type: 'create_invite',
+    groupId,
+    expiresIn
+  });
+}
+
+// Groups we belong to; currentGroupId is the active one shown in the side panel and the default share target
+async function getUserGroups() {
+  const { userGroups = [] } = await chrome.storage.local.get(['userGroups']);
+  return userGroups;
+}
+
+async function addUserGroup(groupId) {
+  const userGroups = await getUserGroups();
+  if (!userGroups.includes(groupId)) {
+    userGroups.push(groupId);
+    await chrome.storage.local.set({ userGroups });
+  }
+}
+
+// Forget a group and everything stored locally for it
+async function removeUserGroup(groupId) {
+  const { userGroups = [], sharedTabs = [], annotations = [], discussions = {}, discussionReads = {}, groupModeration = {}, groupSecrets = {}, clusterState = {}, pendingCreates = {} } =
+    await chrome.storage.local.get(['userGroups', 'sharedTabs', 'annotations', 'discussions', 'discussionReads', 'groupModeration', 'groupSecrets', 'clusterState', 'pendingCreates']);
+  const remainingGroups = userGroups.filter(id => id !== groupId);
+  delete discussions[groupId];
+  delete discussionReads[groupId];
+  delete groupModeration[groupId];
+  delete groupSecrets[groupId];
+  delete clusterState[groupId];
+  delete pendingCreates[groupId];
+
+  await chrome.storage.local.set({
+    userGroups: remainingGroups,
+    sharedTabs: sharedTabs.filter(tab => tab.groupId !== groupId),
+    annotations: annotations.filter(annotation => annotation.groupId !== groupId),
+    discussions,
+    discussionReads,
+    groupModeration,
+    groupSecrets,
+    clusterState,
+    pendingCreates
+  });
+  delete groupSeq[groupId];
+  chrome.storage.local.set({ groupSeq });
+
+  if (currentGroupId === groupId) {
+    await setActiveGroup(remainingGroups[0] || null);
+  }
+  pushAnnotationsToTabs();
+}
+
+// Switch which of our groups the side panel shows and shares go to by default
+async function setActiveGroup(groupId) {
+  console.log('🎯 Active group is now:', groupId);
+  rememberActiveGroup(groupId);
+
+  const { sharedTabs = [] } = await chrome.storage.local.get(['sharedTabs']);
+  refreshActiveClusters(sharedTabs);
+  notifyUI('active_group_changed', { groupId });
+}
+
+// The active group is stored as activeGroupId so a restarted service worker picks it up again
+function rememberActiveGroup(groupId) {
+  currentGroupId = groupId;
+  chrome.storage.local.set({ activeGroupId: groupId });
+}
+
+async function leaveGroup(groupId) {
+  console.log('👋 Leaving group:', groupId);
+  sendToServer({ type: 'leave_group', groupId });
+  await removeUserGroup(groupId);
+}
+
+async function getGroups(sendResponse) {
+  sendResponse({
+    groups: await getUserGroups(),
+    activeGroupId: currentGroupId
+  });
+}
+
+// Enhanced join group function with better error handling
+// lastSeq is passed when rejoining after a reconnect so the server only replays missed events
+// activate makes the group the active one; rejoins after a reconnect leave the active group alone
+async function joinGroup(groupId, credentials = {}, lastSeq, { activate = true } = {}) {
+  if (activate) {
+    console.log('🏠 Setting currentGroupId to:', groupId);
+    rememberActiveGroup(groupId);
   }
+  await addUserGroup(groupId);
+
+  // Fall back to the credentials that worked last time (e.g. when rejoining after a reconnect)
+  await saveGroupCredentials(groupId, credentials);
+  const { groupCredentials = {} } = await chrome.storage.local.get(['groupCredentials']);
+  const { passphrase, inviteToken } = groupCredentials[groupId] || {};
+
+  // If not connected, the onopen handler will call joinGroup with this ID
+  sendToServer({
+    type: 'join_group',
+    groupId,
+    passphrase,
+    inviteToken,
+    lastSeq,
+    profile: await getUserProfile()
+  });
 }
 
+// The service worker may have been restarted: pick up the active group and connection where we left off
+chrome.storage.local.get(['activeGroupId']).then(({ activeGroupId }) => {
+  if (!currentGroupId && activeGroupId) {
+    currentGroupId = activeGroupId;
+  }
+});
+ensureKeepaliveAlarm();
+initializeWebSocket();
 
 // Initialize AI on startup with a delay to ensure everything is loaded
 setTimeout(() => {
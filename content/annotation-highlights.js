@@ -0,0 +1,258 @@
+// Tab Talk - Annotation highlights
+// Re-renders the group's annotation threads on the current page and lets members reply, resolve or delete them
+
+(() => {
+  const HIGHLIGHT_CLASS = 'tab-talk-highlight';
+  const POPOVER_ID = 'tab-talk-annotation-popover';
+  const CONTEXT_LENGTH = 32;
+
+  let currentAnnotations = [];
+
+  function pageUrl() {
+    return location.href.split('#')[0];
+  }
+
+  // Collect the page's visible text nodes with their offsets into the concatenated text
+  function collectTextNodes() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || parent.closest(`script, style, noscript, #${POPOVER_ID}`)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const nodes = [];
+    let text = '';
+    while (walker.nextNode()) {
+      nodes.push({ node: walker.currentNode, start: text.length });
+      text += walker.currentNode.nodeValue;
+    }
+    return { nodes, text };
+  }
+
+  // Find where a { exact, prefix, suffix } selector lands, preferring the match with the most matching context
+  // An empty quote would match everywhere, so it matches nowhere
+  function findQuote(text, selector) {
+    const exact = selector.exact || '';
+    const prefix = selector.prefix || '';
+    const suffix = selector.suffix || '';
+    if (!exact) return null;
+
+    let best = null;
+    let from = text.indexOf(exact);
+
+    while (from !== -1) {
+      const before = text.slice(Math.max(0, from - prefix.length), from);
+      const after = text.slice(from + exact.length, from + exact.length + suffix.length);
+      const score = (prefix && before.endsWith(prefix) ? 1 : 0) + (suffix && after.startsWith(suffix) ? 1 : 0);
+
+      if (!best || score > best.score) {
+        best = { start: from, end: from + exact.length, score };
+      }
+      from = text.indexOf(exact, from + 1);
+    }
+
+    return best;
+  }
+
+  // Wrap the text between two offsets in <mark> elements, one per text node it spans
+  function wrapRange(nodes, start, end, annotation) {
+    nodes.forEach(({ node, start: nodeStart }) => {
+      const nodeEnd = nodeStart + node.nodeValue.length;
+      if (nodeEnd <= start || nodeStart >= end) return;
+
+      const range = document.createRange();
+      range.setStart(node, Math.max(start - nodeStart, 0));
+      range.setEnd(node, Math.min(end, nodeEnd) - nodeStart);
+
+      const mark = document.createElement('mark');
+      mark.className = HIGHLIGHT_CLASS;
+      mark.dataset.annotationId = annotation.id;
+      mark.title = `${annotation.createdBy?.displayName || 'Someone'}: ${annotation.text}`;
+      mark.style.background = annotation.resolved ? 'rgba(200, 200, 200, 0.4)' : 'rgba(255, 221, 87, 0.6)';
+      mark.style.cursor = 'pointer';
+      range.surroundContents(mark);
+    });
+  }
+
+  function clearHighlights() {
+    document.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach(mark => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) {
+        parent.insertBefore(mark.firstChild, mark);
+      }
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+  }
+
+  function renderHighlights(annotations) {
+    currentAnnotations = annotations;
+    clearHighlights();
+
+    annotations.forEach(annotation => {
+      if (!annotation.selector) return;
+
+      // Re-collect after each wrap since wrapping splits text nodes
+      const { nodes, text } = collectTextNodes();
+      const match = findQuote(text, annotation.selector);
+      if (match) {
+        wrapRange(nodes, match.start, match.end, annotation);
+      } else {
+        console.log('ℹ️ Could not anchor annotation on this page:', annotation.id);
+      }
+    });
+  }
+
+  function sendAction(type, fields) {
+    chrome.runtime.sendMessage({ type, ...fields }).catch(error => {
+      console.error(`❌ Failed to send ${type}:`, error);
+    });
+  }
+
+  function closePopover() {
+    document.getElementById(POPOVER_ID)?.remove();
+  }
+
+  function button(label, onClick) {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.style.marginRight = '6px';
+    element.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return element;
+  }
+
+  function entry(author, text) {
+    const element = document.createElement('div');
+    element.style.marginBottom = '6px';
+    const name = document.createElement('strong');
+    name.textContent = `${author?.displayName || 'Someone'}: `;
+    name.style.color = author?.color || 'inherit';
+    element.append(name, document.createTextNode(text));
+    return element;
+  }
+
+  // Show a thread with its replies next to the clicked highlight
+  function showThread(annotation, anchor) {
+    closePopover();
+
+    const popover = document.createElement('div');
+    popover.id = POPOVER_ID;
+    Object.assign(popover.style, {
+      position: 'absolute',
+      zIndex: 2147483647,
+      maxWidth: '320px',
+      padding: '10px',
+      background: '#fff',
+      color: '#222',
+      border: '1px solid #ccc',
+      borderRadius: '6px',
+      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
+      font: '13px sans-serif'
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    popover.style.left = `${rect.left + window.scrollX}px`;
+
+    popover.appendChild(entry(annotation.createdBy, annotation.text));
+    annotation.replies.forEach(reply => popover.appendChild(entry(reply.createdBy, reply.text)));
+
+    if (annotation.resolved) {
+      const status = document.createElement('div');
+      status.textContent = `✅ Resolved by ${annotation.resolvedBy?.displayName || 'a member'}`;
+      status.style.marginBottom = '6px';
+      popover.appendChild(status);
+    }
+
+    popover.append(
+      button('Reply', () => {
+        const text = prompt('Reply to this annotation:');
+        if (text) sendAction('reply_annotation', { annotationId: annotation.id, groupId: annotation.groupId, text });
+      }),
+      button(annotation.resolved ? 'Reopen' : 'Resolve', () => {
+        sendAction('resolve_annotation', { annotationId: annotation.id, groupId: annotation.groupId, resolved: !annotation.resolved });
+      }),
+      button('Edit', () => {
+        const text = prompt('Edit annotation:', annotation.text);
+        if (text) sendAction('edit_annotation', { annotationId: annotation.id, groupId: annotation.groupId, text });
+      }),
+      button('Delete', () => {
+        if (confirm('Delete this annotation thread?')) {
+          sendAction('delete_annotation', { annotationId: annotation.id, groupId: annotation.groupId });
+        }
+      })
+    );
+
+    document.body.appendChild(popover);
+  }
+
+  // Build a selector for the current selection so the highlight can be found again on any copy of the page
+  function selectorFromSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return null;
+
+    const exact = selection.toString();
+    if (!exact.trim()) return null;
+
+    const range = selection.getRangeAt(0);
+    const { nodes, text } = collectTextNodes();
+    const startNode = nodes.find(({ node }) => node === range.startContainer);
+    if (!startNode) return { exact, prefix: '', suffix: '' };
+
+    const start = startNode.start + range.startOffset;
+    return {
+      exact,
+      prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      suffix: text.slice(start + exact.length, start + exact.length + CONTEXT_LENGTH)
+    };
+  }
+
+  // Annotate the selected text; used by the annotation button in content.js
+  function annotateSelection(text) {
+    const selector = selectorFromSelection();
+    if (!selector || !text) return false;
+
+    sendAction('create_annotation', { url: pageUrl(), selector, text });
+    return true;
+  }
+
+  document.addEventListener('click', (event) => {
+    const mark = event.target.closest?.(`mark.${HIGHLIGHT_CLASS}`);
+    if (mark) {
+      const annotation = currentAnnotations.find(item => item.id === mark.dataset.annotationId);
+      if (annotation) showThread(annotation, mark);
+      return;
+    }
+
+    if (!event.target.closest?.(`#${POPOVER_ID}`)) {
+      closePopover();
+    }
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'annotations_changed' && message.url === pageUrl()) {
+      closePopover();
+      renderHighlights(message.annotations);
+    }
+  });
+
+  chrome.runtime.sendMessage({ type: 'get_page_annotations', url: pageUrl() })
+    .then(annotations => {
+      if (Array.isArray(annotations)) renderHighlights(annotations);
+    })
+    .catch(error => {
+      console.log('ℹ️ Could not load annotations for this page:', error.message);
+    });
+
+  window.tabTalkAnnotations = {
+    annotateSelection,
+    selectorFromSelection
+  };
+})();
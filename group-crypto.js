@@ -0,0 +1,133 @@
+// Tab Talk encrypted groups
+// WebCrypto helpers for the service worker: group keys, sealed payloads and the member keys used to hand out new secrets
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GroupCrypto = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Secrets may be typed in by people, so stretching them has to be slow
+  const PBKDF2_ITERATIONS = 210000;
+  const SECRET_BYTES = 32;
+  const IV_BYTES = 12;
+  const MEMBER_KEY_CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  }
+
+  // A fresh random group secret, URL-safe so it can be pasted anywhere
+  function generateGroupSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(SECRET_BYTES));
+    return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Each key epoch of a group has its own secret; the key is bound to the group and the epoch
+  async function deriveGroupKey(secret, groupId, epoch) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`tab-talk:${groupId}:${epoch}`), iterations: PBKDF2_ITERATIONS },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Encrypt payload (any JSON value) into { epoch, iv, data }
+  // The group and epoch are authenticated too, so a payload can't be replayed into another group
+  async function seal(key, groupId, epoch, payload) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(`${groupId}:${epoch}`) },
+      key,
+      encoder.encode(JSON.stringify(payload))
+    );
+    return { epoch, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  // Decrypt what seal produced; throws if the key is wrong or the envelope was tampered with
+  async function open(key, groupId, envelope) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: encoder.encode(`${groupId}:${envelope.epoch}`) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(decoder.decode(data));
+  }
+
+  // The key pair members use to receive new group secrets; the public half travels in their profile
+  async function generateMemberKeyPair() {
+    const pair = await crypto.subtle.generateKey(MEMBER_KEY_CURVE, true, ['deriveBits']);
+    return {
+      publicKey: toBase64(await crypto.subtle.exportKey('raw', pair.publicKey)),
+      privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey)
+    };
+  }
+
+  // AES key shared by the holders of privateKey and publicKey, used only to wrap one epoch's secret
+  async function deriveWrappingKey(privateKey, publicKey, groupId, epoch) {
+    const bits = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const material = await crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(groupId), info: encoder.encode(`tab-talk:wrap:${epoch}`) },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Encrypt secret for each member in publicKeys ({ [userId]: publicKey })
+  // Returns { ephemeralKey, wrappedKeys: { [userId]: { epoch, iv, data } } }
+  async function wrapSecret(secret, groupId, epoch, publicKeys) {
+    const ephemeral = await crypto.subtle.generateKey(MEMBER_KEY_CURVE, true, ['deriveBits']);
+    const wrappedKeys = {};
+
+    for (const [userId, publicKey] of Object.entries(publicKeys)) {
+      try {
+        const memberKey = await crypto.subtle.importKey('raw', fromBase64(publicKey), MEMBER_KEY_CURVE, false, []);
+        const wrappingKey = await deriveWrappingKey(ephemeral.privateKey, memberKey, groupId, epoch);
+        wrappedKeys[userId] = await seal(wrappingKey, groupId, epoch, secret);
+      } catch (error) {
+        // A member with a broken key simply doesn't get the new secret
+        console.warn(`Could not wrap the group secret for ${userId}:`, error);
+      }
+    }
+
+    return {
+      ephemeralKey: toBase64(await crypto.subtle.exportKey('raw', ephemeral.publicKey)),
+      wrappedKeys
+    };
+  }
+
+  // Recover the secret wrapSecret wrapped for us, or null if there is none for us
+  async function unwrapSecret(rotation, groupId, userId, privateJwk) {
+    const wrapped = rotation.wrappedKeys && rotation.wrappedKeys[userId];
+    if (!wrapped) return null;
+
+    const privateKey = await crypto.subtle.importKey('jwk', privateJwk, MEMBER_KEY_CURVE, false, ['deriveBits']);
+    const ephemeralKey = await crypto.subtle.importKey('raw', fromBase64(rotation.ephemeralKey), MEMBER_KEY_CURVE, false, []);
+    const wrappingKey = await deriveWrappingKey(privateKey, ephemeralKey, groupId, wrapped.epoch);
+    return open(wrappingKey, groupId, wrapped);
+  }
+
+  return {
+    generateGroupSecret,
+    deriveGroupKey,
+    seal,
+    open,
+    generateMemberKeyPair,
+    wrapSecret,
+    unwrapSecret
+  };
+});
@@ -1,117 +1,215 @@
-// Tab Orchestra Offscreen Document - Gemini AI Integration
+// Tab Orchestra Offscreen Document - AI Integration
 // This file handles AI-powered tab categorization and discussion prompt generation
-// Uses direct Gemini API calls via fetch (no external libraries needed)
+// The model behind them is whichever provider the user picked in Settings (see ai-providers.js)
 
 console.log('🚀 Offscreen document script loading...');
 
-// Initialize variables
-let apiKey = '';
-let isAIInitialized = false;
+// The provider built from the user's AI settings, null until initialized
+let aiProvider = null;
 
-// Gemini API endpoint
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
-
-// Get API key from Chrome storage
-async function getAPIKey() {
+// Get the AI settings from Chrome storage
+async function getAISettings() {
   return new Promise((resolve) => {
-    chrome.storage.local.get(['geminiApiKey'], (result) => {
-      resolve(result.geminiApiKey || null);
+    chrome.storage.local.get(['aiSettings', 'geminiApiKey'], (result) => {
+      resolve(AIProviders.normalizeSettings(result.aiSettings, result.geminiApiKey));
     });
   });
 }
 
-// Initialize the AI
-async function initializeAI(key) {
+// Initialize the AI with the given settings, or the stored ones
+async function initializeAI(settings) {
   try {
-    apiKey = key || await getAPIKey();
-    
-    if (!apiKey) {
-      console.warn('⚠️ No Gemini API key provided. Please set your API key.');
+    const aiSettings = settings || await getAISettings();
+    const problem = AIProviders.checkSettings(aiSettings);
+
+    if (problem) {
+      console.warn(`⚠️ AI provider ${aiSettings.provider} is not usable: ${problem}. Please check your AI settings.`);
+      aiProvider = null;
       return false;
     }
     
-    console.log('✅ Gemini API key configured');
-    isAIInitialized = true;
+    aiProvider = AIProviders.createProvider(aiSettings);
+    console.log(`✅ AI provider configured: ${aiProvider.id} (${aiProvider.model})`);
     return true;
   } catch (error) {
     console.error('❌ Failed to initialize AI:', error);
-    isAIInitialized = false;
+    aiProvider = null;
     return false;
   }
 }
 
-// Make a request to Gemini API
-async function callGeminiAPI(prompt, temperature = 0.3) {
-  if (!apiKey) {
-    throw new Error('API key not configured');
-  }
+// What the model gets to see of each tab; the index is how it refers to the tab in its reply
+function describeTabs(tabs) {
+  return tabs.map((tab, index) => ({
+    index: index,
+    title: tab.title,
+    url: tab.url,
+    ...(tab.summary && tab.summary !== 'No summary available' ? { summary: tab.summary } : {})
+  }));
+}
 
-  const url = `${GEMINI_API_BASE}/gemini-2.0-flash:generateContent?key=${apiKey}`;
-  
-  const requestBody = {
-    contents: [{
-      parts: [{
-        text: prompt
-      }]
-    }],
-    generationConfig: {
-      temperature: temperature,
-      topK: 40,
-      topP: 0.95,
-      maxOutputTokens: 8192,
-    },
-    safetySettings: [
-      {
-        category: 'HARM_CATEGORY_HARASSMENT',
-        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-      },
-      {
-        category: 'HARM_CATEGORY_HATE_SPEECH',
-        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-      },
-      {
-        category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+// Parse a model reply; structured output is plain JSON, but a provider that ignores the schema may wrap it in
+// a markdown code block
+function parseJSONReply(responseText) {
+  const text = responseText.trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// Replies that fail validation go back to the model with what was wrong, up to this many tries in all
+const MAX_AI_ATTEMPTS = 3;
+
+const CATEGORY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    theme: { type: 'string' },
+    tabs: { type: 'array', items: { type: 'integer' } }
+  },
+  required: ['name', 'theme', 'tabs'],
+  additionalProperties: false
+};
+
+const CATEGORIZE_SCHEMA = {
+  type: 'object',
+  properties: {
+    clusters: { type: 'array', items: CATEGORY_SCHEMA }
+  },
+  required: ['clusters'],
+  additionalProperties: false
+};
+
+// Assignments may only name one of the existing categories
+function classifySchema(categoryIds) {
+  return {
+    type: 'object',
+    properties: {
+      assignments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            tab: { type: 'integer' },
+            category: { type: 'string', enum: categoryIds }
+          },
+          required: ['tab', 'category'],
+          additionalProperties: false
+        }
       },
-      {
-        category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-      }
-    ]
+      newCategories: { type: 'array', items: CATEGORY_SCHEMA }
+    },
+    required: ['assignments', 'newCategories'],
+    additionalProperties: false
   };
+}
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(requestBody)
-  });
+// Why the tab indices a reply uses don't cover each of tabCount tabs exactly once, or null if they do
+function checkIndexCoverage(indices, tabCount) {
+  const invalid = indices.filter(index => index < 0 || index >= tabCount);
+  if (invalid.length > 0) {
+    return `these tab indices don't exist: ${invalid.join(', ')} (valid indices are 0 to ${tabCount - 1})`;
+  }
+
+  const duplicated = [...new Set(indices.filter((index, position) => indices.indexOf(index) !== position))];
+  if (duplicated.length > 0) {
+    return `these tabs appear more than once: ${duplicated.join(', ')} (each tab must appear exactly once)`;
+  }
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
+  const missing = [...Array(tabCount).keys()].filter(index => !indices.includes(index));
+  if (missing.length > 0) {
+    return `these tabs are missing: ${missing.join(', ')} (every tab must appear exactly once)`;
   }
+  return null;
+}
+
+// Why categories (with names and tab indices) aren't a valid answer, or null
+function checkCategories(categories) {
+  const unnamed = categories.findIndex(category => !category.name.trim());
+  if (unnamed !== -1) return `category ${unnamed} has an empty name`;
 
-  const data = await response.json();
-  return data.candidates[0].content.parts[0].text;
+  const names = categories.map(category => category.name.trim().toLowerCase());
+  const repeated = names.find((name, position) => names.indexOf(name) !== position);
+  if (repeated) return `the category name "${repeated}" is used twice`;
+  return null;
 }
 
-// Categorize tabs using Gemini AI
+// Ask the provider for JSON matching request.schema that check (returning a problem or null) accepts
+// A rejected reply is sent back with the problem so the model can fix it. Returns { parsed, problem }:
+// problem is set when even the last reply was wrong, but it matched the schema and can be repaired.
+async function generateValidJSON(request, check) {
+  let prompt = request.prompt;
+  let usable = null;
+
+  for (let attempt = 1; attempt <= MAX_AI_ATTEMPTS; attempt++) {
+    const responseText = await aiProvider.generateText({ ...request, prompt });
+    console.log('🤖 Raw AI response:', responseText);
+
+    let parsed = null;
+    let problem = null;
+    try {
+      parsed = parseJSONReply(responseText);
+      problem = AIProviders.checkSchema(parsed, request.schema);
+    } catch (error) {
+      problem = `the reply is not valid JSON (${error.message})`;
+    }
+
+    if (!problem) {
+      problem = check(parsed);
+      if (!problem) return { parsed, problem: null };
+      usable = { parsed, problem };
+    }
+
+    console.warn(`⚠️ AI reply rejected (attempt ${attempt} of ${MAX_AI_ATTEMPTS}): ${problem}`);
+    prompt = `${request.prompt}
+
+Your previous reply was rejected because ${problem}.
+Previous reply:
+${responseText}
+
+Return the corrected JSON only.`;
+  }
+
+  if (!usable) {
+    throw new Error(`No valid AI reply after ${MAX_AI_ATTEMPTS} attempts`);
+  }
+  return usable;
+}
+
+// Keep the first place each valid tab index got and report the tabs that got none
+// placements are [{ indices, target }]; returns { placed: [{ indices, target }], leftover: [index] }
+function repairPlacements(placements, tabCount) {
+  const seen = new Set();
+  const placed = placements.map(({ indices, target }) => ({
+    target,
+    indices: indices.filter(index => {
+      if (index < 0 || index >= tabCount || seen.has(index)) return false;
+      seen.add(index);
+      return true;
+    })
+  }));
+  const leftover = [...Array(tabCount).keys()].filter(index => !seen.has(index));
+  return { placed, leftover };
+}
+
+function uncategorizedCluster(tabs) {
+  return {
+    name: AIProviders.UNCATEGORIZED,
+    theme: 'Tabs the AI could not place',
+    tabs
+  };
+}
+
+// Categorize tabs using the configured AI provider
 async function categorizeTabs(tabs) {
   try {
-    if (!isAIInitialized) {
-      throw new Error('AI not initialized. Please set your Gemini API key.');
+    if (!aiProvider) {
+      throw new Error('AI not initialized. Please check your AI settings.');
     }
     
-    console.log('🤖 Categorizing', tabs.length, 'tabs using Gemini AI...');
+    console.log('🤖 Categorizing', tabs.length, 'tabs using', aiProvider.id);
     
     // Prepare tab data
-    const tabData = tabs.map((tab, index) => ({
-      index: index,
-      title: tab.title,
-      url: tab.url
-    }));
+    const tabData = describeTabs(tabs);
     
     // Create prompt with better instructions
     const prompt = `You are an expert at categorizing browser tabs. Analyze these tabs and create intelligent, concise categories.
@@ -149,39 +247,32 @@ Return JSON with this EXACT structure:
 
 Use tab indices (0, 1, 2, etc.) in the "tabs" arrays. Create concise, descriptive category names.`;
     
-    // Call Gemini API
-    const responseText = await callGeminiAPI(prompt, 0.3);
-    console.log('🤖 Raw AI response:', responseText);
-    
-    // Parse response
-    let jsonStr = responseText.trim();
+    const { parsed, problem } = await generateValidJSON({
+      prompt,
+      temperature: 0.3,
+      task: 'categorize-tabs',
+      input: tabData,
+      schema: CATEGORIZE_SCHEMA
+    }, reply => checkCategories(reply.clusters) ||
+      checkIndexCoverage(reply.clusters.flatMap(cluster => cluster.tabs), tabs.length));
     
-    // Remove markdown code blocks if present
-    if (jsonStr.includes('```')) {
-      const match = jsonStr.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-      if (match) {
-        jsonStr = match[1].trim();
-      }
-    }
-    
-    // Extract JSON object
-    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonStr = jsonMatch[0];
-    }
-    
-    const parsed = JSON.parse(jsonStr);
-    
-    if (!parsed.clusters || !Array.isArray(parsed.clusters)) {
-      throw new Error('Invalid response structure');
+    if (problem) {
+      console.warn('⚠️ Repairing AI categorization:', problem);
     }
+    const { placed, leftover } = repairPlacements(
+      parsed.clusters.map(cluster => ({ indices: cluster.tabs, target: cluster })),
+      tabs.length
+    );
     
     // Convert indices to actual tab objects
-    const clusters = parsed.clusters.map(cluster => ({
-      name: cluster.name,
-      tabs: cluster.tabs.map(index => tabs[index]).filter(tab => tab !== undefined),
-      theme: cluster.theme || `Collection of ${cluster.name.toLowerCase()} content`
+    const clusters = placed.map(({ indices, target }) => ({
+      name: target.name.trim(),
+      tabs: indices.map(index => tabs[index]),
+      theme: target.theme || `Collection of ${target.name.toLowerCase()} content`
     })).filter(cluster => cluster.tabs.length > 0);
+    if (leftover.length > 0) {
+      clusters.push(uncategorizedCluster(leftover.map(index => tabs[index])));
+    }
     
     console.log('✅ Successfully categorized into', clusters.length, 'clusters');
     return clusters;
@@ -191,17 +282,111 @@ Use tab indices (0, 1, 2, etc.) in the "tabs" arrays. Create concise, descriptiv
   }
 }
 
-// Generate discussion prompts using Gemini AI
+// Sort newly shared tabs into the group's existing categories, proposing new ones only for tabs that fit none
+// clusters are [{ id, name, theme, titles }]; returns { assignments: [{ tabId, clusterId }], newClusters: [{ name, theme, tabIds }] }
+// Tabs the model can't be made to place end up in an Uncategorized new cluster
+async function classifyTabs(clusters, tabs) {
+  try {
+    if (!aiProvider) {
+      throw new Error('AI not initialized. Please check your AI settings.');
+    }
+
+    console.log('🤖 Classifying', tabs.length, 'new tabs into', clusters.length, 'categories using', aiProvider.id);
+
+    const tabData = describeTabs(tabs);
+    const categories = clusters.map(cluster => ({
+      id: cluster.id,
+      name: cluster.name,
+      theme: cluster.theme,
+      examples: cluster.titles.slice(0, 5)
+    }));
+
+    const prompt = `You are sorting newly shared browser tabs into a group's existing categories.
+
+CRITICAL RULES:
+1. Return ONLY valid JSON (no markdown, no code blocks, no extra text)
+2. Put each tab into the existing category that fits it, using that category's id
+3. Only create a new category when a tab fits none of the existing ones
+4. New category names must be 1-2 words maximum and must not repeat an existing name
+5. Every tab must appear exactly once
+
+Existing categories:
+${JSON.stringify(categories, null, 2)}
+
+New tabs:
+${JSON.stringify(tabData, null, 2)}
+
+Return JSON with this EXACT structure:
+{
+  "assignments": [
+    { "tab": 0, "category": "id of an existing category" }
+  ],
+  "newCategories": [
+    { "name": "CategoryName", "theme": "Brief description of what these tabs have in common", "tabs": [1] }
+  ]
+}
+
+Use tab indices (0, 1, 2, etc.) for "tab" and in the "tabs" arrays.`;
+
+    const indicesOf = reply => [
+      ...reply.assignments.map(assignment => assignment.tab),
+      ...reply.newCategories.flatMap(category => category.tabs)
+    ];
+    const { parsed, problem } = await generateValidJSON({
+      prompt,
+      temperature: 0.2,
+      task: 'classify-tabs',
+      input: { categories, tabs: tabData },
+      schema: classifySchema(categories.map(category => category.id))
+    }, reply => checkCategories([...categories, ...reply.newCategories]) ||
+      checkIndexCoverage(indicesOf(reply), tabs.length));
+
+    if (problem) {
+      console.warn('⚠️ Repairing AI classification:', problem);
+    }
+    const { placed, leftover } = repairPlacements([
+      ...parsed.assignments.map(assignment => ({ indices: [assignment.tab], target: assignment })),
+      ...parsed.newCategories.map(category => ({ indices: category.tabs, target: category }))
+    ], tabs.length);
+
+    const assignments = [];
+    const newClusters = [];
+    placed.forEach(({ indices, target }) => {
+      if ('category' in target) {
+        indices.forEach(index => assignments.push({ tabId: tabs[index].id, clusterId: target.category }));
+      } else if (indices.length > 0) {
+        newClusters.push({
+          name: target.name.trim(),
+          theme: target.theme || `Collection of ${target.name.toLowerCase()} content`,
+          tabIds: indices.map(index => tabs[index].id)
+        });
+      }
+    });
+    if (leftover.length > 0) {
+      const { name, theme } = uncategorizedCluster([]);
+      newClusters.push({ name, theme, tabIds: leftover.map(index => tabs[index].id) });
+    }
+
+    console.log('✅ Classified into', assignments.length, 'existing and', newClusters.length, 'new categories');
+    return { assignments, newClusters };
+  } catch (error) {
+    console.error('❌ AI classification failed:', error);
+    throw error;
+  }
+}
+
+// Generate discussion prompts using the configured AI provider
 async function generateDiscussionPrompts(clusterData) {
   try {
-    if (!isAIInitialized) {
-      throw new Error('AI not initialized. Please set your Gemini API key.');
+    if (!aiProvider) {
+      throw new Error('AI not initialized. Please check your AI settings.');
     }
     
     console.log('💡 Generating discussion prompts for:', clusterData.name);
     
     const clusterName = clusterData.name || 'this content';
-    const tabTitles = clusterData.tabs.map(tab => tab.title).slice(0, 10).join('\n- ');
+    const titles = clusterData.tabs.map(tab => tab.title).slice(0, 10);
+    const tabTitles = titles.join('\n- ');
     const tabCount = clusterData.tabs.length;
     
     const prompt = `You are an expert facilitator. Create 3 thought-provoking discussion questions for ${tabCount} browser tabs in the "${clusterName}" category.
@@ -218,7 +403,12 @@ Create questions that:
 
 Return ONLY the 3 questions, one per line, without numbering or bullets. Each must end with "?".`;
     
-    const responseText = await callGeminiAPI(prompt, 0.9);
+    const responseText = await aiProvider.generateText({
+      prompt,
+      temperature: 0.9,
+      task: 'generate-discussion-prompts',
+      input: { name: clusterName, titles }
+    });
     console.log('🤖 AI discussion response:', responseText);
     
     // Parse questions
@@ -241,6 +431,47 @@ Return ONLY the 3 questions, one per line, without numbering or bullets. Each mu
   }
 }
 
+// Summarize a page being shared in two or three sentences
+async function summarizePage(page) {
+  try {
+    if (!aiProvider) {
+      throw new Error('AI not initialized. Please check your AI settings.');
+    }
+
+    console.log('📝 Summarizing page:', page.title);
+
+    // Long pages are cut down; the opening usually says what a page is about
+    const text = page.text.slice(0, 12000);
+    const prompt = `Summarize this web page in 2-3 plain sentences for someone deciding whether to open it.
+
+Title: ${page.title}
+URL: ${page.url}
+
+Page text:
+${text}
+
+Return ONLY the summary, without a heading, quotes or bullet points.`;
+
+    const responseText = await aiProvider.generateText({
+      prompt,
+      temperature: 0.2,
+      task: 'summarize-page',
+      input: { title: page.title, text }
+    });
+
+    const summary = responseText.replace(/\s+/g, ' ').trim().slice(0, 600);
+    if (!summary) {
+      throw new Error('Empty summary');
+    }
+
+    console.log('✅ Page summarized');
+    return summary;
+  } catch (error) {
+    console.error('❌ Page summary failed:', error);
+    throw error;
+  }
+}
+
 // Listen for messages from the service worker
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   try {
@@ -260,7 +491,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'init-ai':
         (async () => {
           try {
-            const success = await initializeAI(message.apiKey);
+            const success = await initializeAI(message.settings);
             sendResponse({ success });
             setTimeout(() => {
               sendToServiceWorker('ai-initialized', { success });
@@ -276,9 +507,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           try {
             const clusters = await categorizeTabs(message.tabs);
             sendResponse({ clusters });
-            setTimeout(() => {
-              sendToServiceWorker('tabs-categorized', { clusters });
-            }, 0);
           } catch (error) {
             console.error('Error in categorize-tabs:', error);
             sendResponse({ error: error.message });
@@ -286,6 +514,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         })();
         return true;
         
+      case 'classify-tabs':
+        classifyTabs(message.clusters, message.tabs)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+        
       case 'generate-discussion-prompts':
         (async () => {
           try {
@@ -301,6 +535,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         })();
         return true;
         
+      case 'summarize-page':
+        summarizePage(message.page)
+          .then(summary => sendResponse({ summary }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+        
       default:
         console.warn(`⚠️ Unknown message type: ${message.type}`);
         sendResponse({ error: `Unknown message type: ${message.type}` });
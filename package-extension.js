@@ -36,6 +36,13 @@ archive.pipe(output);
 const filesToInclude = [
   'manifest.json',
   'background.js',
+  'protocol.js',
+  'group-crypto.js',
+  'ai-providers.js',
+  'topic-clustering.js',
+  'offscreen.html',
+  'offscreen.js',
+  'offscreen-ready.js',
   'LICENSE',
   'README.md'
 ];
@@ -10,6 +10,13 @@ mkdir -p dist
 zip -r dist/tab-orchestra.zip \
   manifest.json \
   background.js \
+  protocol.js \
+  group-crypto.js \
+  ai-providers.js \
+  topic-clustering.js \
+  offscreen.html \
+  offscreen.js \
+  offscreen-ready.js \
   LICENSE \
   README.md \
   assets/ \
@@ -17,6 +24,7 @@ zip -r dist/tab-orchestra.zip \
   popup/ \
   sidepanel/ \
   server.js \
+  server/ \
   package.json \
   start.sh \
   start.bat
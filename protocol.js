@@ -0,0 +1,366 @@
+// Tab Orchestra WebSocket protocol
+// Declares every message the extension and server exchange, shared by server.js and the service worker
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TabTalkProtocol = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Bump when a change would break older clients; raise MIN_CLIENT_VERSION to turn them away
+  const PROTOCOL_VERSION = 2;
+  const MIN_CLIENT_VERSION = 2;
+
+  // Shared tabs kept per group; older ones drop off on the server and in every extension alike
+  const MAX_GROUP_TABS = 100;
+  // Messages kept per discussion thread
+  const MAX_THREAD_MESSAGES = 200;
+  // Groups one message may target through groupIds; the extension splits larger shares into several messages
+  const MAX_TARGET_GROUPS = 20;
+
+  // Field types are a primitive ('string', 'boolean', 'number', 'integer', 'object', 'array', 'any'),
+  // 'url' (http/https), a shape name below, or any of those with [] for arrays. A trailing ? means optional.
+  // Fields not listed are allowed so newer peers can add data.
+  const SHAPES = {
+    groupId: 'string',
+    profile: {
+      userId: 'string?',
+      // Proof the server issued userId to us; profiles without one are handed a new user ID
+      identityToken: 'string?',
+      displayName: 'string?',
+      color: 'string?',
+      avatar: 'string?',
+      // Base64 raw P-256 key that encrypted groups wrap new group secrets for
+      publicKey: 'string?'
+    },
+    identity: {
+      userId: 'string',
+      displayName: 'string'
+    },
+    tab: {
+      id: 'string?',
+      url: 'url',
+      title: 'string?',
+      summary: 'string?',
+      // Start of the page's main text and minutes to read it, when the page could be read
+      excerpt: 'string?',
+      readingTime: 'integer?'
+    },
+    // Tabs of encrypted groups have sealed instead of url, title and the rest
+    sharedTab: {
+      id: 'string',
+      url: 'string?',
+      groupId: 'string',
+      sealed: 'sealed?'
+    },
+    // An encrypted payload; epoch names the group key it was sealed with
+    sealed: {
+      epoch: 'integer',
+      iv: 'string',
+      data: 'string'
+    },
+    // A sealed tab or annotation together with the ID it is shared under
+    sealedItem: {
+      id: 'string?',
+      epoch: 'integer',
+      iv: 'string',
+      data: 'string'
+    },
+    // A new group secret wrapped for each member's publicKey, and the older secrets sealed with the new key
+    keyRotation: {
+      ephemeralKey: 'string',
+      wrappedKeys: 'object',
+      history: 'sealed'
+    },
+    encryption: {
+      epoch: 'integer',
+      rotation: 'object?'
+    },
+    selector: {
+      exact: 'string',
+      prefix: 'string?',
+      suffix: 'string?'
+    },
+    annotation: {
+      id: 'string?',
+      url: 'url',
+      selector: 'selector',
+      text: 'string'
+    },
+    feedback: {
+      reactions: 'object',
+      votes: 'object',
+      up: 'integer',
+      down: 'integer',
+      score: 'integer'
+    },
+    // Messages in encrypted groups have sealed instead of text
+    chatMessage: {
+      id: 'string',
+      thread: 'string',
+      text: 'string?',
+      sealed: 'sealed?',
+      createdBy: 'identity'
+    },
+    // Roles are by user ID; users without one are members
+    moderation: {
+      owner: 'string?',
+      roles: 'object',
+      locked: 'boolean',
+      banned: 'string[]'
+    },
+    groupSnapshot: {
+      sharedTabs: 'object[]',
+      annotations: 'object[]',
+      discussions: 'object?',
+      moderation: 'moderation?',
+      encryption: 'encryption?'
+    }
+  };
+
+  // Messages the extension sends to the server
+  // In encrypted groups tabs and annotations are sent as sealed instead of data, and replies, edits and chat as sealed instead of text
+  const CLIENT_MESSAGES = {
+    heartbeat: {},
+    resume_session: { sessionToken: 'string', lastSeq: 'object?', profile: 'profile?' },
+    create_group: { groupId: 'groupId', passphrase: 'string?', inviteOnly: 'boolean?', encrypted: 'boolean?', profile: 'profile?' },
+    join_group: { groupId: 'groupId', passphrase: 'string?', inviteToken: 'string?', lastSeq: 'integer?', profile: 'profile?' },
+    leave_group: { groupId: 'groupId' },
+    sync_group: { groupId: 'groupId', lastSeq: 'integer?' },
+    create_invite: { groupId: 'groupId', expiresIn: 'number?' },
+    update_profile: { profile: 'profile' },
+    share_tab: { groupId: 'groupId?', groupIds: 'groupId[]?', data: 'tab?', sealed: 'sealedItem?' },
+    update_tab: { groupId: 'groupId', tabId: 'string', changes: 'object?', sealed: 'sealed?' },
+    remove_tab: { groupId: 'groupId', tabId: 'string' },
+    react_tab: { groupId: 'groupId', tabId: 'string', emoji: 'string' },
+    vote_tab: { groupId: 'groupId', tabId: 'string', value: 'integer' },
+    annotation_created: { groupId: 'groupId?', groupIds: 'groupId[]?', data: 'annotation?', sealed: 'sealedItem?' },
+    annotation_reply: { groupId: 'groupId', annotationId: 'string', id: 'string?', text: 'string?', sealed: 'sealed?' },
+    annotation_edit: { groupId: 'groupId', annotationId: 'string', replyId: 'string?', text: 'string?', sealed: 'sealed?' },
+    annotation_delete: { groupId: 'groupId', annotationId: 'string', replyId: 'string?' },
+    annotation_resolve: { groupId: 'groupId', annotationId: 'string', resolved: 'boolean' },
+    ai_cluster_update: { groupId: 'groupId?', groupIds: 'groupId[]?', data: 'any' },
+    // thread is 'group', 'tab:<tab id>' or 'cluster:<cluster id>', where the cluster ID comes from clusterId()
+    chat_message: { groupId: 'groupId', thread: 'string', id: 'string?', text: 'string?', sealed: 'sealed?' },
+    // Moderation; role is 'moderator', 'member' or 'readonly'
+    set_member_role: { groupId: 'groupId', userId: 'string', role: 'string' },
+    kick_member: { groupId: 'groupId', userId: 'string' },
+    ban_member: { groupId: 'groupId', userId: 'string' },
+    unban_member: { groupId: 'groupId', userId: 'string' },
+    lock_group: { groupId: 'groupId', locked: 'boolean' },
+    // Encrypted groups; epoch is one more than the group's current one
+    rotate_group_key: { groupId: 'groupId', epoch: 'integer', rotation: 'keyRotation' }
+  };
+
+  // Messages the server sends to the extension
+  const SERVER_MESSAGES = {
+    welcome: { clientId: 'string', sessionToken: 'string', protocolVersion: 'integer', minClientVersion: 'integer' },
+    pong: {},
+    error: { code: 'string', message: 'string', replyTo: 'string?', details: 'string[]?', retryAfter: 'integer?' },
+    session_resumed: { clientId: 'string', groups: 'string[]' },
+    session_expired: {},
+    // Our user ID on this server, and the token that proves it next time
+    identity_assigned: { userId: 'string', identityToken: 'string' },
+    group_created: { groupId: 'groupId', accessMode: 'string', inviteToken: 'string' },
+    create_rejected: { groupId: 'string?', reason: 'string' },
+    join_rejected: { groupId: 'string?', reason: 'string' },
+    invite_created: { groupId: 'groupId', inviteToken: 'string' },
+    group_joined: { groupId: 'groupId', memberCount: 'integer', seq: 'integer', encryption: 'encryption?' },
+    group_data: { groupId: 'groupId', seq: 'integer', data: 'groupSnapshot' },
+    member_joined: { groupId: 'groupId', clientId: 'string', member: 'identity', memberCount: 'integer' },
+    member_left: { groupId: 'groupId', clientId: 'string', member: 'identity', memberCount: 'integer' },
+    roster: { groupId: 'groupId', members: 'identity[]' },
+    tab_shared: { groupId: 'groupId', seq: 'integer', data: 'sharedTab' },
+    tab_updated: { groupId: 'groupId', seq: 'integer', data: 'sharedTab' },
+    tab_removed: { groupId: 'groupId', seq: 'integer', tabId: 'string' },
+    tab_feedback: { groupId: 'groupId', seq: 'integer', tabId: 'string', feedback: 'feedback' },
+    annotation_update: { groupId: 'groupId', seq: 'integer', action: 'string', data: 'object' },
+    ai_cluster_update: { groupId: 'groupId', seq: 'integer', data: 'any' },
+    chat_message: { groupId: 'groupId', seq: 'integer', thread: 'string', data: 'chatMessage' },
+    member_role_changed: { groupId: 'groupId', seq: 'integer', userId: 'string', role: 'string' },
+    member_removed: { groupId: 'groupId', seq: 'integer', userId: 'string', banned: 'boolean', keyEpoch: 'integer?' },
+    member_unbanned: { groupId: 'groupId', seq: 'integer', userId: 'string' },
+    group_locked: { groupId: 'groupId', seq: 'integer', locked: 'boolean' },
+    group_key_rotated: { groupId: 'groupId', seq: 'integer', epoch: 'integer', rotation: 'object' },
+    // Sent to the members a moderator kicked or banned, reason 'kicked' or 'banned'
+    removed_from_group: { groupId: 'groupId', reason: 'string' },
+    // replyTo is the messageId of the rejected message, when it had one
+    action_rejected: { action: 'string', reason: 'string', groupId: 'string?', replyTo: 'string?' },
+    // Sent once a group message that carried a messageId has been handled; duplicate when it was handled before
+    ack: { replyTo: 'string', duplicate: 'boolean?' }
+  };
+
+  // Codes sent in error messages, with the text shown to users
+  const ERROR_CODES = {
+    invalid_json: 'Message is not valid JSON',
+    unknown_type: 'Unknown message type',
+    invalid_message: 'Message is missing fields or has fields of the wrong type',
+    unsupported_version: 'This version of Tab Talk is too old for the server, please update the extension',
+    payload_too_large: 'Message is too large',
+    rate_limited: 'Too many messages, please slow down',
+    banned: 'Too many rejected messages from this address, try again later',
+    too_many_connections: 'Too many connections, try again later',
+    unauthorized: 'This server needs an access token, check the server profile in the extension settings',
+    internal_error: 'The server failed to handle the message'
+  };
+
+  function isValidUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      const { protocol } = new URL(value);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function checkPrimitive(value, type) {
+    switch (type) {
+      case 'any': return true;
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'url': return isValidUrl(value);
+      default: return null;
+    }
+  }
+
+  // Check value against a field type, collecting "path: problem" strings in errors
+  function checkType(value, type, path, errors) {
+    if (typeof type === 'object') {
+      checkFields(value, type, path, errors);
+      return;
+    }
+
+    const optional = type.endsWith('?');
+    const baseType = optional ? type.slice(0, -1) : type;
+
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`${path}: is required`);
+      return;
+    }
+
+    if (baseType.endsWith('[]')) {
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: must be an array`);
+        return;
+      }
+      value.forEach((item, index) => checkType(item, baseType.slice(0, -2), `${path}[${index}]`, errors));
+      return;
+    }
+
+    if (SHAPES[baseType]) {
+      checkType(value, SHAPES[baseType], path, errors);
+      return;
+    }
+
+    const valid = checkPrimitive(value, baseType);
+    if (valid === null) {
+      errors.push(`${path}: unknown type ${baseType}`);
+    } else if (!valid) {
+      errors.push(`${path}: must be ${baseType === 'url' ? 'an http(s) URL' : `a ${baseType}`}`);
+    }
+  }
+
+  function checkFields(value, fields, path, errors) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+
+    Object.entries(fields).forEach(([field, type]) => {
+      checkType(value[field], type, path ? `${path}.${field}` : field, errors);
+    });
+  }
+
+  // Browsers can't set headers on a WebSocket, so the extension offers the server token as a
+  // "token.<base64url>" subprotocol next to SUBPROTOCOL, which is the one the server answers with
+  const SUBPROTOCOL = 'tab-talk';
+  const TOKEN_SUBPROTOCOL_PREFIX = 'token.';
+
+  function tokenSubprotocol(token) {
+    const bytes = new TextEncoder().encode(token);
+    const base64 = btoa(String.fromCharCode(...bytes));
+    return TOKEN_SUBPROTOCOL_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // The server token among offered subprotocols, or undefined
+  function readTokenSubprotocol(protocols) {
+    const offered = Array.from(protocols).find(protocol => protocol.startsWith(TOKEN_SUBPROTOCOL_PREFIX));
+    if (!offered) return undefined;
+
+    try {
+      const base64 = offered.slice(TOKEN_SUBPROTOCOL_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+      return new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  // Cluster threads are keyed by an ID every member derives from the cluster's name, so members whose
+  // clusters carry the same name read and write the same 'cluster:<id>' thread.
+  // taken holds the IDs of the group's other clusters; a name that maps onto one of them gets a -2, -3... suffix
+  const MAX_CLUSTER_ID_LENGTH = 64;
+  const CLUSTER_ID_PATTERN = /^[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*$/u;
+
+  function clusterId(name, taken = new Set()) {
+    const slug = Array.from(String(name).normalize('NFKC').toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, ''));
+    const withSuffix = suffix => (slug.slice(0, MAX_CLUSTER_ID_LENGTH - suffix.length).join('').replace(/-+$/, '') || 'untitled') + suffix;
+
+    let id = withSuffix('');
+    for (let count = 2; taken.has(id); count++) {
+      id = withSuffix(`-${count}`);
+    }
+    return id;
+  }
+
+  function isClusterId(id) {
+    return typeof id === 'string' && id === id.toLowerCase() &&
+      Array.from(id).length <= MAX_CLUSTER_ID_LENGTH && CLUSTER_ID_PATTERN.test(id);
+  }
+
+  // Validate a message against one of the message tables
+  // Returns null when valid, otherwise { code, details }
+  function validateMessage(message, messages) {
+    if (message === null || typeof message !== 'object' || typeof message.type !== 'string') {
+      return { code: 'invalid_message', details: ['type: is required'] };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(messages, message.type)) {
+      return { code: 'unknown_type', details: [`type: ${message.type} is not a known message`] };
+    }
+
+    const errors = [];
+    // Any message may carry a messageId that error replies point back to
+    checkType(message.messageId, 'string?', 'messageId', errors);
+    checkFields(message, messages[message.type], '', errors);
+    if (Array.isArray(message.groupIds) && message.groupIds.length > MAX_TARGET_GROUPS) {
+      errors.push(`groupIds: must list at most ${MAX_TARGET_GROUPS} groups`);
+    }
+    return errors.length > 0 ? { code: 'invalid_message', details: errors } : null;
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MIN_CLIENT_VERSION,
+    MAX_GROUP_TABS,
+    MAX_THREAD_MESSAGES,
+    MAX_TARGET_GROUPS,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    ERROR_CODES,
+    SUBPROTOCOL,
+    tokenSubprotocol,
+    readTokenSubprotocol,
+    clusterId,
+    isClusterId,
+    validateClientMessage: message => validateMessage(message, CLIENT_MESSAGES),
+    validateServerMessage: message => validateMessage(message, SERVER_MESSAGES)
+  };
+});
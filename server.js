@@ -3,53 +3,218 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { createStorage } = require('./server/storage');
+const { createGroupAccess, createInviteToken, checkGroupAccess } = require('./server/access');
+const { defaultProfile, normalizeProfile, createIdentity, checkIdentity } = require('./server/profiles');
+const { createRestHandler } = require('./server/rest-api');
+const { applyAnnotationAction, migrateAnnotation } = require('./server/annotations');
+const { addChatMessage, pruneTabThreads } = require('./server/discussions');
+const { toggleReaction, castVote } = require('./server/feedback');
+const { getRole, hasRole, checkContribute, checkJoin, canModerate, assignRole } = require('./server/roles');
+const { createEncryption, cleanSealed, checkSealing, rotateKey } = require('./server/encryption');
+const { loadLimits, AbuseGuard } = require('./server/limits');
+const { createBroker } = require('./server/broker');
+const { loadEndpoint, checkServerToken, readSocketToken, selectSubprotocol } = require('./server/endpoint');
+const { PROTOCOL_VERSION, MIN_CLIENT_VERSION, MAX_GROUP_TABS, ERROR_CODES, validateClientMessage } = require('./protocol');
+
+const SESSION_TTL = 24 * 60 * 60 * 1000; // Keep sessions resumable for 24 hours after disconnect
+const EVENT_LOG_SIZE = 200; // Events kept per group for replay to reconnecting clients
+const MESSAGE_ID_LOG_SIZE = 500; // Handled message IDs kept per group to recognize resent outbox messages
+const EDITABLE_TAB_FIELDS = ['title', 'note', 'summary']; // Fields update_tab may change
+// Client message type -> annotation thread action
+const ANNOTATION_ACTIONS = {
+    annotation_reply: 'reply',
+    annotation_edit: 'edit',
+    annotation_delete: 'delete',
+    annotation_resolve: 'resolve'
+};
+// Thread action -> action reported in annotation_update
+const ANNOTATION_EVENTS = {
+    create: 'created',
+    reply: 'replied',
+    edit: 'edited',
+    delete: 'deleted',
+    resolve: 'resolved'
+};
+// Messages that publish an event to their target groups and so count against the group rate limit
+const GROUP_EVENT_TYPES = new Set([
+    'share_tab', 'update_tab', 'remove_tab', 'react_tab', 'vote_tab', 'annotation_created', 'annotation_reply',
+    'annotation_edit', 'annotation_delete', 'annotation_resolve', 'ai_cluster_update', 'chat_message',
+    'set_member_role', 'kick_member', 'ban_member', 'unban_member', 'lock_group', 'rotate_group_key'
+]);
+// Annotation actions that carry words, and so are sealed in encrypted groups
+const SEALED_ANNOTATION_ACTIONS = new Set(['create', 'reply', 'edit']);
+const CLOSE_UNAUTHORIZED = 4003;
+const CLOSE_TOO_MANY_REQUESTS = 4029;
+const PRESENCE_TTL = 3 * 60 * 1000; // Forget another instance's members if it stops announcing them
 
 class TabOrchestraServer {
-    constructor(port = 8080) {
+    constructor(port = 8080, storage = createStorage(), limits = loadLimits(), broker = createBroker(), endpoint = loadEndpoint()) {
         this.port = port;
+        this.storage = storage;
+        this.endpoint = endpoint;
+        this.guard = new AbuseGuard(limits);
+        // Group events go through the broker so members connected to other instances receive them too
+        this.instanceId = crypto.randomUUID();
+        this.broker = broker;
+        this.handleBrokerMessage = this.handleBrokerMessage.bind(this);
+        // Groups with connected members; everything else lives only in storage
         this.groups = new Map();
         this.clients = new Map();
+        // Session token -> { clientId, userId, unprovenUserId, groups, lastSeen }
+        // userId is null until the client sends a profile; see applyProfile
+        this.sessions = new Map();
+        // { clientId, messageId } of the group event being handled, so rejections can point back to it
+        this.handling = null;
+        // { reloaded, relays } while a storage transaction is open; see withFreshGroups
+        this.transaction = null;
         this.init();
     }
 
     init() {
-        this.server = http.createServer();
-        this.wss = new WebSocket.Server({ server: this.server });
+        const storedGroups = this.storage.load();
+        console.log(`Loaded ${storedGroups} stored groups`);
+        // Instances sharing storage share the secret too, so an identity issued by one is good on all
+        this.identitySecret = this.endpoint.identitySecret || this.storage.loadSecret('identity');
+
+        const handler = createRestHandler(this);
+        this.server = this.endpoint.tls
+            ? https.createServer(this.endpoint.tls, handler)
+            : http.createServer(handler);
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            maxPayload: this.guard.limits.maxPayloadBytes,
+            handleProtocols: selectSubprotocol
+        });
 
         this.wss.on('connection', (ws, req) => {
             console.log('New client connected');
 
+            // Extensions announce their protocol version as ?protocol=N; older ones don't send it at all
+            const params = new URL(req.url, 'http://localhost').searchParams;
+            const clientVersion = Number(params.get('protocol')) || 1;
+            if (clientVersion < MIN_CLIENT_VERSION) {
+                console.log(`Refusing client speaking protocol ${clientVersion} (minimum ${MIN_CLIENT_VERSION})`);
+                this.refuseConnection(ws, 4001, 'Please update the Tab Talk extension', {
+                    code: 'unsupported_version',
+                    protocolVersion: PROTOCOL_VERSION,
+                    minClientVersion: MIN_CLIENT_VERSION
+                });
+                return;
+            }
+
+            const ip = this.guard.getAddress(req);
+            const refusal = this.guard.admitConnection(ip);
+            if (refusal) {
+                console.log(`Refusing connection from ${ip}: ${refusal.code}`);
+                this.refuseConnection(ws, CLOSE_TOO_MANY_REQUESTS, 'Too many requests', refusal);
+                return;
+            }
+
+            // Servers with SERVER_TOKENS only take extensions whose server profile carries one, sent in a header
+            // or subprotocol; never in the URL, where proxies and access logs would keep it
+            if (!checkServerToken(this.endpoint, readSocketToken(req))) {
+                console.log(`Refusing connection from ${ip}: missing or wrong server token`);
+                this.guard.releaseConnection(ip);
+                this.recordStrike(ip);
+                this.refuseConnection(ws, CLOSE_UNAUTHORIZED, 'Unauthorized', { code: 'unauthorized' });
+                return;
+            }
+            ws.ip = ip;
+
+            // ws.clientId changes if this connection resumes an earlier session
             const clientId = this.generateClientId();
+            const sessionToken = this.createSession(clientId);
+            ws.clientId = clientId;
             this.clients.set(clientId, {
                 ws: ws,
                 groups: new Set(),
+                sessionToken: sessionToken,
+                profile: defaultProfile(clientId),
+                ip: ip,
                 lastSeen: Date.now()
             });
 
             ws.on('message', (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data.toString());
+                } catch (error) {
+                    console.error(`Invalid JSON from client ${ws.clientId}`);
+                    this.sendError(ws.clientId, 'invalid_json');
+                    return;
+                }
+
+                const replyTo = typeof message?.messageId === 'string' ? message.messageId : undefined;
+                const oversized = this.guard.checkPayload(message);
+                if (oversized) {
+                    console.log(`Rejected oversized message from ${ws.clientId}: ${oversized}`);
+                    this.sendError(ws.clientId, 'payload_too_large', replyTo, [oversized]);
+                    this.recordStrike(ws.ip);
+                    return;
+                }
+
+                const problem = validateClientMessage(message);
+                if (problem) {
+                    console.log(`Rejected ${message?.type} from ${ws.clientId}: ${problem.details.join('; ')}`);
+                    this.sendError(ws.clientId, problem.code, replyTo, problem.details);
+                    return;
+                }
+
+                // Only groups the client may post to spend their budget, so outsiders can't use it up
+                const client = this.clients.get(ws.clientId);
+                const chargedGroups = this.getRateLimitedGroups(message).filter(groupId => !this.checkTarget(client, groupId));
+                const retryAfter = this.guard.takeMessage(ws.clientId, chargedGroups);
+                if (retryAfter) {
+                    console.log(`Rate limited ${message.type} from ${ws.clientId} for ${retryAfter}ms`);
+                    this.sendError(ws.clientId, 'rate_limited', replyTo, undefined, retryAfter);
+                    this.recordStrike(ws.ip);
+                    return;
+                }
+
+                // Log only routing metadata: payloads hold private URLs and notes, and may carry credentials
+                const targets = Array.isArray(message.groupIds) ? message.groupIds : [message.groupId].filter(Boolean);
+                console.log(`Received ${message.type} from ${ws.clientId}${targets.length > 0 ? ` for ${targets.join(', ')}` : ''}`);
+
                 try {
-                    const message = JSON.parse(data.toString());
-                    console.log(`Received message from ${clientId}:`, message);
-                    this.handleMessage(clientId, message);
+                    this.withFreshGroups(targets, () => this.handleMessage(ws.clientId, message));
                 } catch (error) {
-                    console.error('Invalid message format:', error);
+                    console.error(`Failed to handle ${message.type} from client ${ws.clientId}:`, error);
+                    this.sendError(ws.clientId, 'internal_error', replyTo);
+                } finally {
+                    this.handling = null;
                 }
             });
 
             ws.on('close', (code, reason) => {
-                console.log(`Client ${clientId} disconnected. Code: ${code}, Reason: ${reason || 'No reason provided'}`);
-                this.handleClientDisconnect(clientId);
+                console.log(`Client ${ws.clientId} disconnected. Code: ${code}, Reason: ${reason || 'No reason provided'}`);
+                this.guard.releaseConnection(ws.ip);
+                // A resumed session may already have handed this client ID to a newer socket
+                const client = this.clients.get(ws.clientId);
+                if (client && client.ws === ws) {
+                    this.handleClientDisconnect(ws.clientId);
+                }
             });
 
             ws.on('error', (error) => {
-                console.error(`WebSocket error for client ${clientId}:`, error);
+                // ws closes the socket itself when a frame exceeds maxPayload
+                if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+                    this.guard.countOversizedFrame();
+                    this.recordStrike(ws.ip);
+                }
+                console.error(`WebSocket error for client ${ws.clientId}:`, error);
             });
 
             // Send welcome message
             try {
                 ws.send(JSON.stringify({
                     type: 'welcome',
-                    clientId: clientId
+                    clientId: clientId,
+                    sessionToken: sessionToken,
+                    protocolVersion: PROTOCOL_VERSION,
+                    minClientVersion: MIN_CLIENT_VERSION
                 }));
                 console.log(`Welcome message sent to client ${clientId}`);
             } catch (error) {
@@ -58,8 +223,10 @@ class TabOrchestraServer {
         });
 
         this.server.listen(this.port, () => {
+            const secure = Boolean(this.endpoint.tls);
             console.log(`🎼 Tab Orchestra server running on port ${this.port}`);
-            console.log(`Connect your extensions to ws://localhost:${this.port}`);
+            console.log(`Connect your extensions to ${secure ? 'wss' : 'ws'}://localhost:${this.port}`);
+            console.log(`REST API available at ${secure ? 'https' : 'http'}://localhost:${this.port}`);
         });
 
         // Cleanup inactive connections
@@ -70,34 +237,270 @@ class TabOrchestraServer {
         return Math.random().toString(36).substr(2, 9);
     }
 
+    createSession(clientId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        this.sessions.set(token, {
+            clientId: clientId,
+            userId: null,
+            unprovenUserId: null,
+            groups: new Set(),
+            lastSeen: Date.now()
+        });
+        return token;
+    }
+
+    getSession(clientId) {
+        const client = this.clients.get(clientId);
+        return client ? this.sessions.get(client.sessionToken) : null;
+    }
+
+    // Reclaim the identity and group memberships of an earlier connection
+    handleResumeSession(clientId, message) {
+        const client = this.clients.get(clientId);
+        const session = this.sessions.get(message.sessionToken);
+
+        if (!client || !session) {
+            this.sendToClient(clientId, { type: 'session_expired' });
+            return;
+        }
+
+        const resumedId = session.clientId;
+
+        if (resumedId !== clientId) {
+            // Drop a stale socket still holding the old identity
+            const previous = this.clients.get(resumedId);
+            if (previous) {
+                this.handleClientDisconnect(resumedId);
+                previous.ws.close(4000, 'Session resumed on another connection');
+            }
+
+            // Groups joined on this connection before resuming are rejoined under the old identity
+            client.groups.forEach(groupId => {
+                this.handleLeaveGroup(clientId, groupId);
+                session.groups.add(groupId);
+            });
+
+            // An identity settled on this connection carries over to a session that has none yet
+            const replaced = this.sessions.get(client.sessionToken);
+            if (!session.userId) {
+                session.userId = replaced.userId;
+                session.unprovenUserId = replaced.unprovenUserId;
+            }
+            this.sessions.delete(client.sessionToken);
+            this.clients.delete(clientId);
+            client.profile = replaced.userId
+                ? normalizeProfile(client.profile, session.userId)
+                : defaultProfile(session.userId || resumedId);
+            client.sessionToken = message.sessionToken;
+            client.ws.clientId = resumedId;
+            this.clients.set(resumedId, client);
+        }
+
+        session.lastSeen = Date.now();
+        if (message.profile) {
+            this.applyProfile(resumedId, message);
+        }
+
+        this.sendToClient(resumedId, {
+            type: 'session_resumed',
+            clientId: resumedId,
+            groups: Array.from(session.groups)
+        });
+
+        const lastSeq = message.lastSeq || {};
+        Array.from(session.groups).forEach(groupId => {
+            const group = this.loadGroup(groupId);
+            const banned = group && checkJoin(group, client.profile.userId) === 'banned';
+            if (group && !banned) {
+                this.addMemberToGroup(resumedId, group, lastSeq[groupId]);
+                return;
+            }
+
+            session.groups.delete(groupId);
+            if (banned) {
+                this.sendToClient(resumedId, { type: 'removed_from_group', groupId: groupId, reason: 'banned' });
+            }
+        });
+
+        console.log(`Client ${resumedId} resumed its session (${session.groups.size} groups)`);
+    }
+
     handleMessage(clientId, message) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
         client.lastSeen = Date.now();
 
+        // Any message that opens a group membership may carry the sender's profile
+        // A resumed session settles the identity of the session it resumes, so its profile is applied there
+        if (message.profile && message.type !== 'resume_session' && !this.applyProfile(clientId, message)) {
+            return;
+        }
+
+        // The extension resends outbox messages whose ack it missed; groups that already handled one skip it
+        const tracked = GROUP_EVENT_TYPES.has(message.type) && typeof message.messageId === 'string';
+        if (tracked) {
+            const remaining = this.skipHandledGroups(message);
+            if (!remaining) {
+                this.sendToClient(clientId, { type: 'ack', replyTo: message.messageId, duplicate: true });
+                return;
+            }
+            message = remaining;
+            this.handling = { clientId, messageId: message.messageId };
+        }
+
         switch (message.type) {
             case 'heartbeat':
                 this.handleHeartbeat(clientId);
                 break;
+            case 'resume_session':
+                this.handleResumeSession(clientId, message);
+                break;
+            case 'create_group':
+                this.handleCreateGroup(clientId, message);
+                break;
             case 'join_group':
-                this.handleJoinGroup(clientId, message.groupId);
+                this.handleJoinGroup(clientId, message);
+                break;
+            case 'create_invite':
+                this.handleCreateInvite(clientId, message);
+                break;
+            case 'update_profile':
+                this.handleUpdateProfile(clientId);
                 break;
             case 'leave_group':
                 this.handleLeaveGroup(clientId, message.groupId);
+                this.getSession(clientId)?.groups.delete(message.groupId);
+                break;
+            case 'sync_group':
+                this.handleSyncGroup(clientId, message);
                 break;
             case 'share_tab':
-                this.handleShareTab(clientId, message.data);
+                this.handleShareTab(clientId, message);
+                break;
+            case 'update_tab':
+                this.handleUpdateTab(clientId, message);
+                break;
+            case 'remove_tab':
+                this.handleRemoveTab(clientId, message);
+                break;
+            case 'react_tab':
+            case 'vote_tab':
+                this.handleTabFeedback(clientId, message);
                 break;
             case 'annotation_created':
-                this.handleAnnotation(clientId, message.data);
+                this.handleAnnotation(clientId, message);
+                break;
+            case 'annotation_reply':
+            case 'annotation_edit':
+            case 'annotation_delete':
+            case 'annotation_resolve':
+                this.handleAnnotationAction(clientId, ANNOTATION_ACTIONS[message.type], message);
                 break;
             case 'ai_cluster_update':
-                this.handleClusterUpdate(clientId, message.data);
+                this.handleClusterUpdate(clientId, message);
                 break;
+            case 'chat_message':
+                this.handleChatMessage(clientId, message);
+                break;
+            case 'set_member_role':
+                this.handleSetMemberRole(clientId, message);
+                break;
+            case 'kick_member':
+            case 'ban_member':
+                this.handleRemoveMember(clientId, message);
+                break;
+            case 'unban_member':
+                this.handleUnbanMember(clientId, message);
+                break;
+            case 'lock_group':
+                this.handleLockGroup(clientId, message);
+                break;
+            case 'rotate_group_key':
+                this.handleRotateGroupKey(clientId, message);
+                break;
+        }
+
+        // Handled, though possibly rejected; any action_rejected was sent before this
+        if (tracked) {
+            this.sendToClient(clientId, { type: 'ack', replyTo: message.messageId });
+        }
+    }
+
+    // Drop the target groups that already handled this message ID; null when none are left
+    skipHandledGroups(message) {
+        const handled = this.getRateLimitedGroups(message).filter(groupId => {
+            return this.groups.get(groupId)?.messageIds.includes(message.messageId);
+        });
+        if (handled.length === 0) return message;
+        if (!Array.isArray(message.groupIds)) return null;
+
+        const groupIds = message.groupIds.filter(groupId => !handled.includes(groupId));
+        return groupIds.length > 0 ? { ...message, groupIds } : null;
+    }
+
+    sendToClient(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client || client.ws.readyState !== WebSocket.OPEN) return;
+
+        if (message.type === 'action_rejected' && this.handling?.clientId === clientId) {
+            message = { ...message, replyTo: this.handling.messageId };
+        }
+
+        try {
+            client.ws.send(JSON.stringify(message));
+        } catch (error) {
+            console.error(`Failed to send ${message.type} to client ${clientId}:`, error);
         }
     }
 
+    // Tell a client its message was not accepted; replyTo is the offending message's messageId
+    sendError(clientId, code, replyTo, details, retryAfter) {
+        this.sendToClient(clientId, {
+            type: 'error',
+            code: code,
+            message: ERROR_CODES[code],
+            replyTo: replyTo,
+            details: details,
+            retryAfter: retryAfter
+        });
+    }
+
+    // Send an error to a socket that never became a client, then close it
+    refuseConnection(ws, closeCode, closeReason, error) {
+        try {
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: ERROR_CODES[error.code],
+                ...error
+            }));
+        } catch (sendError) {
+            console.error('Failed to send refusal:', sendError);
+        }
+        ws.close(closeCode, closeReason);
+    }
+
+    // Groups whose event budget a message spends
+    getRateLimitedGroups(message) {
+        if (!GROUP_EVENT_TYPES.has(message.type)) return [];
+
+        const groupIds = Array.isArray(message.groupIds) ? message.groupIds : [message.groupId];
+        return [...new Set(groupIds.filter(groupId => typeof groupId === 'string' && groupId))];
+    }
+
+    // Count a refused message against its address and ban the address once it keeps misbehaving
+    recordStrike(ip) {
+        const banDuration = this.guard.recordStrike(ip);
+        if (!banDuration) return;
+
+        console.log(`Banning ${ip} for ${banDuration}ms`);
+        this.clients.forEach((client, clientId) => {
+            if (client.ip !== ip) return;
+            this.sendError(clientId, 'banned', undefined, undefined, banDuration);
+            client.ws.close(CLOSE_TOO_MANY_REQUESTS, 'Too many requests');
+        });
+    }
+
     handleHeartbeat(clientId) {
         const client = this.clients.get(clientId);
         if (client && client.ws.readyState === WebSocket.OPEN) {
@@ -110,53 +513,413 @@ class TabOrchestraServer {
         }
     }
 
-    handleJoinGroup(clientId, groupId) {
+    handleCreateGroup(clientId, message) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        // Create group if it doesn't exist
-        if (!this.groups.has(groupId)) {
-            this.groups.set(groupId, {
-                id: groupId,
-                members: new Set(),
-                sharedTabs: [],
-                annotations: [],
-                created: Date.now()
+        const { groupId, passphrase, inviteOnly, encrypted } = message;
+
+        if (!groupId || this.loadGroup(groupId)) {
+            this.sendToClient(clientId, {
+                type: 'create_rejected',
+                groupId: groupId,
+                reason: groupId ? 'group_exists' : 'missing_group_id'
             });
+            return;
         }
 
-        const group = this.groups.get(groupId);
-        group.members.add(clientId);
-        client.groups.add(groupId);
+        const group = {
+            id: groupId,
+            members: new Set(),
+            sharedTabs: [],
+            annotations: [],
+            discussions: {},
+            remoteMembers: new Map(),
+            access: createGroupAccess(passphrase, inviteOnly),
+            owner: client.profile.userId,
+            roles: {},
+            bans: {},
+            locked: false,
+            encryption: createEncryption(encrypted),
+            knownMembers: {},
+            seq: 0,
+            events: [],
+            messageIds: [],
+            created: Date.now()
+        };
+        this.activateGroup(group);
+        this.saveGroup(group);
 
-        // Notify client of successful join
-        try {
-            client.ws.send(JSON.stringify({
-                type: 'group_joined',
-                groupId: groupId,
-                memberCount: group.members.size
-            }));
+        this.sendToClient(clientId, {
+            type: 'group_created',
+            groupId: groupId,
+            accessMode: group.access.mode,
+            inviteToken: createInviteToken(group.access, groupId)
+        });
 
-            // Send existing group data
-            client.ws.send(JSON.stringify({
-                type: 'group_data',
-                data: {
-                    sharedTabs: group.sharedTabs,
-                    annotations: group.annotations
-                }
-            }));
-        } catch (error) {
-            console.error(`Failed to send group data to client ${clientId}:`, error);
+        console.log(`Client ${clientId} created ${group.access.mode}${encrypted ? ' encrypted' : ''} group ${groupId}`);
+        this.addMemberToGroup(clientId, group);
+    }
+
+    handleJoinGroup(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const { groupId, passphrase, inviteToken, lastSeq } = message;
+        const group = groupId ? this.loadGroup(groupId) : null;
+        const reason = group
+            ? checkGroupAccess(group.access, groupId, { passphrase, inviteToken }) || checkJoin(group, client.profile.userId)
+            : 'group_not_found';
+
+        if (reason) {
+            this.sendToClient(clientId, {
+                type: 'join_rejected',
+                groupId: groupId,
+                reason: reason
+            });
+            console.log(`Client ${clientId} was refused entry to group ${groupId}: ${reason}`);
+            return;
         }
 
+        this.addMemberToGroup(clientId, group, lastSeq);
+    }
+
+    // Only moderators and the owner decide who else gets in
+    handleCreateInvite(clientId, message) {
+        const group = this.findModeratedGroup(clientId, message);
+        if (!group) return;
+
+        this.sendToClient(clientId, {
+            type: 'invite_created',
+            groupId: group.id,
+            inviteToken: createInviteToken(group.access, group.id, message.expiresIn)
+        });
+    }
+
+    // lastSeq is the last group event the client saw; when given, only newer events are replayed
+    addMemberToGroup(clientId, group, lastSeq) {
+        const client = this.clients.get(clientId);
+        const groupId = group.id;
+
+        this.withFreshGroups([groupId], () => {
+            group.members.add(clientId);
+            client.groups.add(groupId);
+            this.getSession(clientId)?.groups.add(groupId);
+            this.rememberMember(group, client.profile);
+            this.saveGroup(group);
+        });
+        this.refreshEventLog(group);
+
+        // Notify client of successful join
+        this.sendToClient(clientId, {
+            type: 'group_joined',
+            groupId: groupId,
+            memberCount: this.countMembers(group),
+            seq: group.seq,
+            // Members need the key state before any sealed payload, replays included
+            ...(group.encryption && { encryption: group.encryption })
+        });
+
+        this.syncClient(clientId, group, lastSeq);
+
         // Notify other group members
-        this.broadcastToGroup(groupId, {
+        this.announceToGroup(group, {
             type: 'member_joined',
+            groupId: groupId,
             clientId: clientId,
-            memberCount: group.members.size
+            member: client.profile,
+            memberCount: this.countMembers(group)
         }, clientId);
+        this.updateRoster(group);
 
-        console.log(`Client ${clientId} joined group ${groupId} (${group.members.size} members)`);
+        console.log(`Client ${clientId} joined group ${groupId} (${this.countMembers(group)} members)`);
+    }
+
+    // Bring a client up to date: replay missed events if the log still covers them, else send a snapshot
+    syncClient(clientId, group, lastSeq) {
+        this.refreshEventLog(group);
+        const oldestSeq = group.events.length > 0 ? group.events[0].seq : group.seq + 1;
+        const canReplay = Number.isInteger(lastSeq) &&
+            lastSeq <= group.seq &&
+            lastSeq >= oldestSeq - 1;
+
+        if (canReplay) {
+            const missed = group.events.filter(event => event.seq > lastSeq);
+            missed.forEach(event => this.sendToClient(clientId, event.message));
+            console.log(`Replayed ${missed.length} events to client ${clientId} in group ${group.id}`);
+            return;
+        }
+
+        const storedGroup = this.storage.getGroup(group.id) || group;
+
+        // Send existing group data
+        this.sendToClient(clientId, {
+            type: 'group_data',
+            groupId: group.id,
+            seq: group.seq,
+            data: {
+                sharedTabs: storedGroup.sharedTabs,
+                annotations: storedGroup.annotations,
+                discussions: storedGroup.discussions || {},
+                moderation: {
+                    owner: group.owner,
+                    roles: group.roles,
+                    locked: group.locked,
+                    banned: Object.keys(group.bans)
+                },
+                ...(group.encryption && { encryption: group.encryption })
+            }
+        });
+    }
+
+    // A member noticed a gap in the group's sequence numbers and wants to catch up
+    handleSyncGroup(clientId, message) {
+        const client = this.clients.get(clientId);
+        const group = this.groups.get(message.groupId);
+
+        if (!client || !group || !client.groups.has(message.groupId)) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: 'sync_group',
+                groupId: message.groupId,
+                reason: 'not_a_member'
+            });
+            return;
+        }
+
+        this.syncClient(clientId, group, message.lastSeq);
+    }
+
+    // Settle who a client is from the profile its message carries; returns false if the message was rejected
+    // The first profile of a session names the user ID it proves with an identityToken, or gets a new one;
+    // after that the user ID is fixed and profiles may only change how the user is shown
+    applyProfile(clientId, message) {
+        const client = this.clients.get(clientId);
+        const session = this.sessions.get(client.sessionToken);
+        const claimed = message.profile.userId;
+
+        if (!session.userId) {
+            if (checkIdentity(this.identitySecret, claimed, message.profile.identityToken)) {
+                session.userId = claimed;
+            } else {
+                const identity = createIdentity(this.identitySecret);
+                session.userId = identity.userId;
+                // Messages sent before the client hears of its new ID still carry the one it asked for
+                session.unprovenUserId = claimed;
+                this.sendToClient(clientId, { type: 'identity_assigned', ...identity });
+                console.log(`Client ${clientId} is now user ${identity.userId}`);
+            }
+        } else if (claimed !== undefined && claimed !== session.userId && claimed !== session.unprovenUserId) {
+            console.log(`Client ${clientId} tried to change its user ID`);
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: message.type,
+                groupId: message.groupId,
+                reason: 'identity_mismatch'
+            });
+            return false;
+        }
+
+        client.profile = normalizeProfile(message.profile, session.userId);
+        return true;
+    }
+
+    // Identity stamped on everything a client shares
+    getIdentity(clientId) {
+        const client = this.clients.get(clientId);
+        return client ? client.profile : defaultProfile(clientId);
+    }
+
+    handleUpdateProfile(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        this.withFreshGroups(Array.from(client.groups), () => client.groups.forEach(groupId => {
+            const group = this.groups.get(groupId);
+            if (group) {
+                this.rememberMember(group, client.profile);
+                this.saveGroup(group);
+                this.updateRoster(group);
+            }
+        }));
+    }
+
+    // Keep a profile for every user who has been in the group so offline members still show in the roster
+    rememberMember(group, profile) {
+        group.knownMembers[profile.userId] = {
+            ...profile,
+            lastSeen: Date.now()
+        };
+    }
+
+    buildRoster(group) {
+        const onlineUserIds = new Set();
+        group.members.forEach(memberId => {
+            const client = this.clients.get(memberId);
+            if (client) onlineUserIds.add(client.profile.userId);
+        });
+        group.remoteMembers.forEach(presence => {
+            presence.userIds.forEach(userId => onlineUserIds.add(userId));
+        });
+
+        return Object.values(group.knownMembers)
+            .map(member => ({
+                ...member,
+                role: getRole(group, member.userId),
+                online: onlineUserIds.has(member.userId)
+            }))
+            .sort((a, b) => (b.online - a.online) || a.displayName.localeCompare(b.displayName));
+    }
+
+    broadcastRoster(group) {
+        this.broadcastToGroup(group.id, {
+            type: 'roster',
+            groupId: group.id,
+            members: this.buildRoster(group)
+        });
+    }
+
+    // Send our members the new roster and tell other instances who is connected here
+    updateRoster(group) {
+        this.broadcastRoster(group);
+        this.publishPresence(group);
+    }
+
+    // Members connected to this instance plus those other instances have announced
+    countMembers(group) {
+        let count = group.members.size;
+        group.remoteMembers.forEach(presence => { count += presence.count; });
+        return count;
+    }
+
+    // Get an active group, restoring it from storage if needed; null if the group doesn't exist
+    loadGroup(groupId) {
+        let group = this.groups.get(groupId);
+        if (group) return group;
+
+        const record = this.storage.getGroup(groupId);
+        if (!record) return null;
+
+        group = {
+            id: groupId,
+            members: new Set(),
+            // Instance ID -> { userIds, count, updated } for members connected to other instances
+            remoteMembers: new Map(),
+            ...this.restoreGroupState(record)
+        };
+        this.activateGroup(group);
+
+        return group;
+    }
+
+    // The persistent part of a group as kept in memory
+    restoreGroupState(record) {
+        // Tabs stored before tabs had stable IDs get one now
+        record.sharedTabs.forEach(tab => {
+            if (typeof tab.id !== 'string') {
+                tab.id = crypto.randomUUID();
+            }
+        });
+
+        return {
+            sharedTabs: record.sharedTabs,
+            annotations: record.annotations.map(migrateAnnotation),
+            discussions: record.discussions || {},
+            // Groups stored before access control existed stay open
+            access: record.access || null,
+            owner: record.owner || null,
+            roles: record.roles || {},
+            bans: record.bans || {},
+            locked: Boolean(record.locked),
+            encryption: record.encryption || null,
+            knownMembers: record.knownMembers || {},
+            seq: record.seq || 0,
+            events: record.events || [],
+            messageIds: record.messageIds || [],
+            created: record.created
+        };
+    }
+
+    // Run change in one storage transaction, on copies of the named active groups reloaded from storage
+    // Every instance keeps its own copy of a group and saveGroup writes all of it, so a change made to a stale
+    // copy would undo what another instance saved in the meantime. Broker messages wait for the commit, since
+    // other instances reload the group when they arrive. Nested calls join the open transaction
+    withFreshGroups(groupIds, change) {
+        if (this.transaction) {
+            this.reloadGroups(groupIds);
+            return change();
+        }
+
+        const relays = [];
+        this.transaction = { reloaded: new Set(), relays: relays };
+        let result;
+        try {
+            result = this.storage.transaction(() => {
+                this.reloadGroups(groupIds);
+                return change();
+            });
+        } finally {
+            this.transaction = null;
+        }
+        relays.forEach(envelope => this.publishEnvelope(envelope));
+        return result;
+    }
+
+    // Groups this transaction already read may hold changes it hasn't saved yet, so those aren't reloaded
+    reloadGroups(groupIds) {
+        groupIds.forEach(groupId => {
+            const group = this.groups.get(groupId);
+            if (group && !this.transaction.reloaded.has(groupId)) {
+                this.refreshGroup(group);
+            }
+            this.transaction.reloaded.add(groupId);
+        });
+    }
+
+    // Pick up changes another instance saved for an active group
+    refreshGroup(group) {
+        const record = this.storage.getGroup(group.id);
+        if (record) {
+            Object.assign(group, this.restoreGroupState(record));
+        }
+    }
+
+    activateGroup(group) {
+        this.groups.set(group.id, group);
+        // Just read from storage, or new; either way nothing this transaction must reload
+        this.transaction?.reloaded.add(group.id);
+        this.broker.subscribe(this.groupChannel(group.id), this.handleBrokerMessage);
+        // Ask instances that already serve this group who is connected to them
+        this.publishPresence(group, true);
+    }
+
+    // Drop an active group once nobody here uses it; its data stays in storage
+    unloadGroup(groupId) {
+        this.groups.delete(groupId);
+        this.broker.unsubscribe(this.groupChannel(groupId), this.handleBrokerMessage);
+    }
+
+    // Write the persistent part of a group (everything except live members) to storage
+    saveGroup(group) {
+        try {
+            this.storage.saveGroup({
+                id: group.id,
+                created: group.created,
+                access: group.access,
+                owner: group.owner,
+                roles: group.roles,
+                bans: group.bans,
+                locked: group.locked,
+                encryption: group.encryption,
+                knownMembers: group.knownMembers,
+                messageIds: group.messageIds,
+                sharedTabs: group.sharedTabs,
+                annotations: group.annotations,
+                discussions: group.discussions
+            });
+        } catch (error) {
+            console.error(`Failed to save group ${group.id}:`, error);
+        }
     }
 
     handleLeaveGroup(clientId, groupId) {
@@ -166,100 +929,648 @@ class TabOrchestraServer {
         if (client && group) {
             group.members.delete(clientId);
             client.groups.delete(groupId);
+            this.withFreshGroups([groupId], () => {
+                this.rememberMember(group, client.profile);
+                this.saveGroup(group);
+            });
 
             // Notify other group members
-            this.broadcastToGroup(groupId, {
+            this.announceToGroup(group, {
                 type: 'member_left',
+                groupId: groupId,
                 clientId: clientId,
-                memberCount: group.members.size
+                member: client.profile,
+                memberCount: this.countMembers(group)
             }, clientId);
+            this.updateRoster(group);
 
-            // Remove empty groups
+            // Unload groups nobody here is in; their data stays in storage
             if (group.members.size === 0) {
-                this.groups.delete(groupId);
-                console.log(`Removed empty group ${groupId}`);
+                this.unloadGroup(groupId);
+                console.log(`Unloaded empty group ${groupId}`);
+            }
+        }
+    }
+
+    // Why a client may not post to a group, or null if it may
+    checkTarget(client, groupId) {
+        const group = this.groups.get(groupId);
+        return client && client.groups.has(groupId) && group
+            ? checkContribute(group, client.profile.userId)
+            : 'not_a_member';
+    }
+
+    // Groups a share-like message targets via groupId or groupIds
+    // Targets the client hasn't joined or may not post to are rejected; the rest are returned
+    getTargetGroups(clientId, action, message) {
+        const client = this.clients.get(clientId);
+        const requested = Array.isArray(message.groupIds) ? message.groupIds : [message.groupId];
+        const groupIds = [...new Set(requested.filter(groupId => typeof groupId === 'string' && groupId))];
+
+        if (groupIds.length === 0) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: action,
+                reason: 'group_required'
+            });
+            return [];
+        }
+
+        return groupIds.filter(groupId => {
+            const reason = this.checkTarget(client, groupId);
+            if (!reason) return true;
+
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: action,
+                groupId: groupId,
+                reason: reason
+            });
+            return false;
+        }).map(groupId => this.groups.get(groupId));
+    }
+
+    handleShareTab(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const sealed = cleanSealed(message.sealed);
+        this.getTargetGroups(clientId, 'share_tab', message).forEach(group => {
+            const reason = checkSealing(group, sealed) || (sealed || message.data ? null : 'missing_tab');
+            if (reason) {
+                this.sendToClient(clientId, {
+                    type: 'action_rejected',
+                    action: 'share_tab',
+                    groupId: group.id,
+                    reason: reason
+                });
+                return;
             }
+
+            // A sealed tab is only its ID and ciphertext; the rest is routing metadata added below
+            const tabData = sealed ? { id: message.sealed.id, sealed: sealed } : message.data;
+            this.addSharedTab(group, tabData, this.getIdentity(clientId));
+        });
+    }
+
+    // Store a shared tab and broadcast it; used by both the socket and the REST API
+    addSharedTab(group, tabData, sharedBy) {
+        const groupId = group.id;
+
+        // Keep the sharer's tab ID so its local copy matches, unless it is missing or taken
+        const requestedId = typeof tabData.id === 'string' ? tabData.id.slice(0, 64) : '';
+        const isTaken = group.sharedTabs.some(tab => tab.id === requestedId);
+
+        // Create a complete tab object with all necessary data
+        const completeTabData = {
+            ...tabData,
+            id: requestedId && !isTaken ? requestedId : crypto.randomUUID(),
+            groupId: groupId,
+            sharedBy: sharedBy,
+            timestamp: Date.now()
+        };
+        
+        // Add to group's shared tabs
+        group.sharedTabs.push(completeTabData);
+
+        // Keep only recent tabs; members drop the same ones when they apply tab_shared
+        if (group.sharedTabs.length > MAX_GROUP_TABS) {
+            group.sharedTabs = group.sharedTabs.slice(-MAX_GROUP_TABS);
+            pruneTabThreads(group);
         }
+
+        // Broadcast to group members including the sender
+        this.publishToGroup(group, {
+            type: 'tab_shared',
+            data: completeTabData
+        });
+
+        console.log(`Tab ${completeTabData.id} shared in group ${groupId}`);
+        return completeTabData;
     }
 
-    handleShareTab(clientId, tabData) {
+    // Find a shared tab the client may change: only its sharer or a moderator can
+    // Replies with action_rejected and returns null otherwise
+    findEditableTab(clientId, action, groupId, tabId) {
+        const client = this.clients.get(clientId);
+        const group = this.groups.get(groupId);
+        const tab = group && client.groups.has(groupId)
+            ? group.sharedTabs.find(sharedTab => sharedTab.id === tabId)
+            : null;
+
+        let reason = null;
+        if (!tab) {
+            reason = 'tab_not_found';
+        } else if (tab.sharedBy?.userId !== client.profile.userId && !hasRole(group, client.profile.userId, 'moderator')) {
+            reason = 'forbidden';
+        } else {
+            reason = checkContribute(group, client.profile.userId);
+        }
+
+        if (reason) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: action,
+                groupId: groupId,
+                tabId: tabId,
+                reason: reason
+            });
+            return null;
+        }
+
+        return { group, tab };
+    }
+
+    handleUpdateTab(clientId, message) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        // Broadcast to all groups the client is in
-        client.groups.forEach(groupId => {
-            const group = this.groups.get(groupId);
-            if (group) {
-                // Create a complete tab object with all necessary data
-                const completeTabData = {
-                    ...tabData,
-                    sharedBy: clientId,
-                    timestamp: Date.now()
-                };
-                
-                // Add to group's shared tabs
-                group.sharedTabs.push(completeTabData);
-
-                // Keep only recent tabs (last 100)
-                if (group.sharedTabs.length > 100) {
-                    group.sharedTabs = group.sharedTabs.slice(-100);
+        const found = this.findEditableTab(clientId, 'update_tab', message.groupId, message.tabId);
+        if (!found) return;
+
+        const { group, tab } = found;
+        const sealed = cleanSealed(message.sealed);
+        const reason = checkSealing(group, sealed);
+        if (reason) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: 'update_tab',
+                groupId: group.id,
+                tabId: tab.id,
+                reason: reason
+            });
+            return;
+        }
+
+        // A sealed edit replaces the whole sealed tab, since the server can't merge fields it can't read
+        if (sealed) {
+            tab.sealed = sealed;
+        } else {
+            const changes = message.changes || {};
+            EDITABLE_TAB_FIELDS.forEach(field => {
+                if (typeof changes[field] === 'string') {
+                    tab[field] = changes[field];
                 }
+            });
+        }
+        tab.updatedBy = this.getIdentity(clientId);
+        tab.updatedAt = Date.now();
 
-                // Broadcast to group members including the sender
-                this.broadcastToGroup(groupId, {
-                    type: 'tab_shared',
-                    data: completeTabData
-                });
-                
-                // Also send updated group data to all members
-                this.broadcastToGroup(groupId, {
-                    type: 'group_data',
-                    data: {
-                        sharedTabs: group.sharedTabs,
-                        annotations: group.annotations
-                    }
-                });
+        this.publishToGroup(group, {
+            type: 'tab_updated',
+            data: tab
+        });
 
-                console.log(`Tab shared in group ${groupId}: ${tabData.title}`);
-            }
+        console.log(`Tab ${tab.id} updated in group ${group.id}`);
+    }
+
+    // Any member who may post may react to or vote on a tab; the server keeps the tallies
+    handleTabFeedback(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.groups.get(message.groupId);
+        const tab = group && client.groups.has(message.groupId)
+            ? group.sharedTabs.find(sharedTab => sharedTab.id === message.tabId)
+            : null;
+
+        const reason = tab ? checkContribute(group, client.profile.userId) : 'tab_not_found';
+        const result = reason
+            ? { error: reason }
+            : message.type === 'react_tab'
+                ? toggleReaction(tab, message.emoji, client.profile.userId)
+                : castVote(tab, message.value, client.profile.userId);
+
+        if (result.error) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: message.type,
+                groupId: message.groupId,
+                tabId: message.tabId,
+                reason: result.error
+            });
+            return;
+        }
+
+        this.publishToGroup(group, {
+            type: 'tab_feedback',
+            tabId: tab.id,
+            feedback: result.feedback
         });
     }
 
-    handleAnnotation(clientId, annotationData) {
+    handleRemoveTab(clientId, message) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        client.groups.forEach(groupId => {
-            const group = this.groups.get(groupId);
-            if (group) {
-                group.annotations.push({
-                    ...annotationData,
-                    createdBy: clientId,
-                    timestamp: Date.now()
-                });
+        const found = this.findEditableTab(clientId, 'remove_tab', message.groupId, message.tabId);
+        if (!found) return;
+
+        const { group, tab } = found;
+        group.sharedTabs = group.sharedTabs.filter(sharedTab => sharedTab.id !== tab.id);
+        pruneTabThreads(group);
+
+        this.publishToGroup(group, {
+            type: 'tab_removed',
+            tabId: tab.id,
+            removedBy: this.getIdentity(clientId)
+        });
+
+        console.log(`Tab ${tab.id} removed from group ${group.id}`);
+    }
+
+    handleAnnotation(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const payload = message.sealed ? { id: message.sealed.id, sealed: message.sealed } : message.data || {};
+        this.getTargetGroups(clientId, 'annotation_create', message).forEach(group => {
+            this.applyAnnotation(clientId, group.id, 'create', payload);
+        });
+    }
+
+    // Reply to, edit, delete or resolve an existing annotation thread
+    handleAnnotationAction(clientId, action, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.groups.get(message.groupId);
+        const reason = client.groups.has(message.groupId) && group
+            ? checkContribute(group, client.profile.userId)
+            : 'not_a_member';
+
+        if (reason) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: `annotation_${action}`,
+                groupId: message.groupId,
+                annotationId: message.annotationId,
+                reason: reason
+            });
+            return;
+        }
+
+        this.applyAnnotation(clientId, message.groupId, action, message);
+    }
+
+    applyAnnotation(clientId, groupId, action, payload) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
 
-                this.broadcastToGroup(groupId, {
-                    type: 'annotation_update',
-                    data: annotationData,
-                    createdBy: clientId
-                }, clientId);
+        const reason = SEALED_ANNOTATION_ACTIONS.has(action) ? checkSealing(group, cleanSealed(payload.sealed)) : null;
+        const result = reason
+            ? { error: reason }
+            : applyAnnotationAction(group, action, payload, this.getIdentity(clientId));
+        if (result.error) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: `annotation_${action}`,
+                groupId: groupId,
+                annotationId: payload.annotationId,
+                reason: result.error
+            });
+            return;
+        }
+
+        // Everyone including the author gets the whole thread, so all copies match the server's
+        this.publishToGroup(group, {
+            type: 'annotation_update',
+            action: result.deletedId ? 'deleted' : ANNOTATION_EVENTS[action],
+            data: result.thread || { id: result.deletedId },
+            updatedBy: this.getIdentity(clientId)
+        });
+    }
+
+    // Post to the group chat or to the discussion thread of a tab or cluster
+    handleChatMessage(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        this.getTargetGroups(clientId, 'chat_message', message).forEach(group => {
+            const reason = checkSealing(group, cleanSealed(message.sealed));
+            const result = reason ? { error: reason } : addChatMessage(group, message, this.getIdentity(clientId));
+            if (result.error) {
+                this.sendToClient(clientId, {
+                    type: 'action_rejected',
+                    action: 'chat_message',
+                    groupId: group.id,
+                    thread: message.thread,
+                    reason: result.error
+                });
+                return;
             }
+
+            this.publishToGroup(group, {
+                type: 'chat_message',
+                thread: result.message.thread,
+                data: result.message
+            });
         });
     }
 
-    handleClusterUpdate(clientId, clusterData) {
+    handleClusterUpdate(clientId, message) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        client.groups.forEach(groupId => {
-            this.broadcastToGroup(groupId, {
+        this.getTargetGroups(clientId, 'ai_cluster_update', message).forEach(group => {
+            this.publishToGroup(group, {
                 type: 'ai_cluster_update',
-                data: clusterData,
-                updatedBy: clientId
-            }, clientId);
+                data: message.data,
+                updatedBy: this.getIdentity(clientId)
+            });
+        });
+    }
+
+    // The group a moderation message targets, if the client moderates it and outranks message.userId
+    // Replies with action_rejected and returns null otherwise
+    findModeratedGroup(clientId, message) {
+        const client = this.clients.get(clientId);
+        const group = this.groups.get(message.groupId);
+        const actorId = client.profile.userId;
+
+        let reason = null;
+        if (!group || !client.groups.has(message.groupId)) {
+            reason = 'not_a_member';
+        } else if (!hasRole(group, actorId, 'moderator')) {
+            reason = 'forbidden';
+        } else if (message.userId !== undefined && !canModerate(group, actorId, message.userId)) {
+            reason = 'forbidden';
+        }
+
+        if (reason) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: message.type,
+                groupId: message.groupId,
+                userId: message.userId,
+                reason: reason
+            });
+            return null;
+        }
+
+        return group;
+    }
+
+    handleSetMemberRole(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.findModeratedGroup(clientId, message);
+        if (!group) return;
+
+        const result = assignRole(group, client.profile.userId, message.userId, message.role);
+        if (result.error) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: 'set_member_role',
+                groupId: group.id,
+                userId: message.userId,
+                reason: result.error
+            });
+            return;
+        }
+
+        this.publishToGroup(group, {
+            type: 'member_role_changed',
+            userId: message.userId,
+            role: result.role,
+            changedBy: this.getIdentity(clientId)
+        });
+
+        console.log(`User ${message.userId} is now ${result.role} in group ${group.id}`);
+    }
+
+    // Kick a member out of the group, or ban them so they can't come back
+    handleRemoveMember(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.findModeratedGroup(clientId, message);
+        if (!group) return;
+
+        const banned = message.type === 'ban_member';
+        // No longer a member, so no longer let back into a locked group or handed new group secrets
+        delete group.knownMembers[message.userId];
+        if (banned) {
+            group.bans[message.userId] = {
+                bannedBy: client.profile.userId,
+                timestamp: Date.now()
+            };
+            delete group.roles[message.userId];
+        }
+
+        this.publishToGroup(group, {
+            type: 'member_removed',
+            userId: message.userId,
+            banned: banned,
+            removedBy: this.getIdentity(clientId),
+            // The remover rotates the key next; members compare this to tell a fresh removal from a replayed one
+            ...(group.encryption && { keyEpoch: group.encryption.epoch })
+        });
+        this.disconnectUser(group, message.userId, banned ? 'banned' : 'kicked');
+        this.updateRoster(group);
+
+        console.log(`User ${message.userId} was ${banned ? 'banned' : 'kicked'} from group ${group.id}`);
+    }
+
+    handleUnbanMember(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.findModeratedGroup(clientId, message);
+        if (!group) return;
+
+        if (!group.bans[message.userId]) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: 'unban_member',
+                groupId: group.id,
+                userId: message.userId,
+                reason: 'not_banned'
+            });
+            return;
+        }
+
+        delete group.bans[message.userId];
+        this.publishToGroup(group, {
+            type: 'member_unbanned',
+            userId: message.userId,
+            changedBy: this.getIdentity(clientId)
         });
     }
 
+    // A locked group takes no new members and only moderators may post
+    handleLockGroup(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.findModeratedGroup(clientId, message);
+        if (!group) return;
+
+        group.locked = message.locked;
+        this.publishToGroup(group, {
+            type: 'group_locked',
+            locked: group.locked,
+            changedBy: this.getIdentity(clientId)
+        });
+
+        console.log(`Group ${group.id} ${group.locked ? 'locked' : 'unlocked'}`);
+    }
+
+    // A moderator hands the remaining members a new group secret, wrapped for each of them
+    handleRotateGroupKey(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const group = this.findModeratedGroup(clientId, message);
+        if (!group) return;
+
+        const result = rotateKey(group, message.epoch, message.rotation, this.getIdentity(clientId));
+        if (result.error) {
+            this.sendToClient(clientId, {
+                type: 'action_rejected',
+                action: 'rotate_group_key',
+                groupId: group.id,
+                reason: result.error
+            });
+            return;
+        }
+
+        this.publishToGroup(group, {
+            type: 'group_key_rotated',
+            epoch: result.encryption.epoch,
+            rotation: result.encryption.rotation
+        });
+
+        console.log(`Group ${group.id} moved to key epoch ${result.encryption.epoch}`);
+    }
+
+    // Take a kicked or banned user's connections on this instance out of the group
+    disconnectUser(group, userId, reason) {
+        const memberIds = Array.from(group.members).filter(memberId => {
+            return this.clients.get(memberId)?.profile.userId === userId;
+        });
+
+        memberIds.forEach(memberId => {
+            this.sendToClient(memberId, { type: 'removed_from_group', groupId: group.id, reason: reason });
+            this.handleLeaveGroup(memberId, group.id);
+            // The group may have been unloaded when its last member here left
+            this.clients.get(memberId)?.groups.delete(group.id);
+            this.getSession(memberId)?.groups.delete(group.id);
+        });
+    }
+
+    // Broadcast a group event with the next sequence number and keep it for replay
+    // Every member gets every event, so a skipped sequence number always means a missed event
+    // Saves the group first so other instances load the change before delivering the event
+    publishToGroup(group, message) {
+        // Remember which client message caused this, so a resend of it is recognized
+        const messageId = this.handling?.messageId;
+        if (messageId && !group.messageIds.includes(messageId)) {
+            group.messageIds = [...group.messageIds, messageId].slice(-MESSAGE_ID_LOG_SIZE);
+        }
+        this.saveGroup(group);
+
+        // Storage hands out the sequence number, so two instances never give different events the same one
+        const event = this.storage.appendEvent(group.id, { ...message, groupId: group.id }, EVENT_LOG_SIZE);
+        this.refreshEventLog(group);
+
+        this.broadcastToGroup(group.id, event);
+        this.relay(group, 'event', { message: event });
+    }
+
+    // The event log lives in storage, where every instance appends to it
+    refreshEventLog(group) {
+        Object.assign(group, this.storage.getEventLog(group.id));
+    }
+
+    // Broadcast a message that isn't logged for replay to members on every instance
+    announceToGroup(group, message, excludeClientId = null) {
+        this.broadcastToGroup(group.id, message, excludeClientId);
+        this.relay(group, 'broadcast', { message: message });
+    }
+
+    groupChannel(groupId) {
+        return `tab-orchestra:group:${groupId}`;
+    }
+
+    relay(group, kind, fields) {
+        const envelope = {
+            instanceId: this.instanceId,
+            kind: kind,
+            groupId: group.id,
+            ...fields
+        };
+        if (this.transaction) {
+            this.transaction.relays.push(envelope);
+        } else {
+            this.publishEnvelope(envelope);
+        }
+    }
+
+    publishEnvelope(envelope) {
+        try {
+            this.broker.publish(this.groupChannel(envelope.groupId), envelope);
+        } catch (error) {
+            console.error(`Failed to relay ${envelope.kind} for group ${envelope.groupId}:`, error);
+        }
+    }
+
+    // Tell other instances which users are connected here; request asks them to answer with theirs
+    publishPresence(group, request = false) {
+        const userIds = new Set();
+        group.members.forEach(memberId => {
+            const client = this.clients.get(memberId);
+            if (client) userIds.add(client.profile.userId);
+        });
+
+        this.relay(group, 'presence', {
+            userIds: Array.from(userIds),
+            count: group.members.size,
+            request: request
+        });
+    }
+
+    // A message another instance published for a group we serve
+    handleBrokerMessage(envelope) {
+        if (envelope.instanceId === this.instanceId) return;
+
+        const group = this.groups.get(envelope.groupId);
+        if (!group) return;
+
+        // The publishing instance committed its changes before publishing, so storage has them
+        this.refreshGroup(group);
+
+        switch (envelope.kind) {
+            case 'event':
+            case 'broadcast':
+                this.broadcastToGroup(group.id, envelope.message);
+                // Members are removed wherever they are connected
+                if (envelope.message.type === 'member_removed') {
+                    this.disconnectUser(group, envelope.message.userId, envelope.message.banned ? 'banned' : 'kicked');
+                }
+                break;
+            case 'presence': {
+                const hadMembers = group.remoteMembers.delete(envelope.instanceId);
+                if (envelope.count > 0) {
+                    group.remoteMembers.set(envelope.instanceId, {
+                        userIds: envelope.userIds,
+                        count: envelope.count,
+                        updated: Date.now()
+                    });
+                }
+                if (hadMembers || envelope.count > 0) {
+                    this.broadcastRoster(group);
+                }
+
+                if (envelope.request && group.members.size > 0) {
+                    this.publishPresence(group);
+                }
+                break;
+            }
+        }
+    }
+
     broadcastToGroup(groupId, message, excludeClientId = null) {
         const group = this.groups.get(groupId);
         if (!group) return;
@@ -288,17 +1599,22 @@ class TabOrchestraServer {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        // Remove from all groups
+        // Remove from all groups; the session keeps the memberships so they can be resumed
         client.groups.forEach(groupId => {
             this.handleLeaveGroup(clientId, groupId);
         });
 
+        const session = this.sessions.get(client.sessionToken);
+        if (session) {
+            session.lastSeen = Date.now();
+        }
+
         this.clients.delete(clientId);
         console.log(`Client ${clientId} disconnected`);
     }
 
     startCleanupTimer() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             const now = Date.now();
             const timeout = 5 * 60 * 1000; // 5 minutes
 
@@ -310,49 +1626,107 @@ class TabOrchestraServer {
                 }
             });
 
+            // Forget sessions that nobody has resumed in time
+            const connectedTokens = new Set(Array.from(this.clients.values()).map(client => client.sessionToken));
+            this.sessions.forEach((session, token) => {
+                if (!connectedTokens.has(token) && now - session.lastSeen > SESSION_TTL) {
+                    this.sessions.delete(token);
+                }
+            });
+
             // Remove empty groups older than 1 hour
             this.groups.forEach((group, groupId) => {
                 if (group.members.size === 0 && now - group.created > 60 * 60 * 1000) {
-                    this.groups.delete(groupId);
+                    this.unloadGroup(groupId);
                     console.log(`Cleaned up old empty group ${groupId}`);
                 }
             });
+
+            // Keep our presence fresh on other instances and drop instances that went quiet
+            this.groups.forEach(group => {
+                if (group.members.size > 0) {
+                    this.publishPresence(group);
+                }
+
+                let changed = false;
+                group.remoteMembers.forEach((presence, instanceId) => {
+                    if (now - presence.updated > PRESENCE_TTL) {
+                        group.remoteMembers.delete(instanceId);
+                        changed = true;
+                    }
+                });
+                if (changed) this.broadcastRoster(group);
+            });
             
+            this.guard.prune(now);
+
             // Log active stats
             console.log(`Active clients: ${this.clients.size}, Active groups: ${this.groups.size}`);
         }, 60000); // Run every minute
     }
 
+    // Drop every connection and stop listening; storage and broker are the caller's to close
+    close(callback) {
+        clearInterval(this.cleanupTimer);
+        this.wss.clients.forEach(ws => ws.terminate());
+        this.wss.close(() => this.server.close(callback));
+    }
+
     getStats() {
         return {
+            instanceId: this.instanceId,
             connectedClients: this.clients.size,
             activeGroups: this.groups.size,
+            storedGroups: this.storage.countGroups(),
             totalSharedTabs: Array.from(this.groups.values())
-                .reduce((sum, group) => sum + group.sharedTabs.length, 0)
+                .reduce((sum, group) => sum + group.sharedTabs.length, 0),
+            limits: this.guard.getStats()
         };
     }
 }
 
-// Start server
-const server = new TabOrchestraServer(process.env.PORT || 8080);
+// Start a server when run directly; require('./server') to run several in one process
+if (require.main === module) {
+    const storageType = process.env.STORAGE_TYPE || 'json';
+    const brokerType = process.env.BROKER_TYPE || 'memory';
+    if (brokerType !== 'memory' && storageType !== 'sqlite') {
+        console.warn('Running several instances needs storage they all share, e.g. STORAGE_TYPE=sqlite on a shared path');
+    }
+
+    const server = new TabOrchestraServer(process.env.PORT || 8080, createStorage({
+        type: storageType,
+        filePath: process.env.STORAGE_PATH
+    }), loadLimits(process.env), createBroker({
+        type: brokerType,
+        url: process.env.BROKER_URL
+    }), loadEndpoint(process.env));
 
-// Log stats every 30 seconds
-setInterval(() => {
-    const stats = server.getStats();
-    console.log(`📊 Stats: ${stats.connectedClients} clients, ${stats.activeGroups} groups, ${stats.totalSharedTabs} tabs shared`);
-}, 30000);
+    // Log stats every 30 seconds
+    setInterval(() => {
+        const stats = server.getStats();
+        console.log(`📊 Stats: ${stats.connectedClients} clients, ${stats.activeGroups} groups, ${stats.totalSharedTabs} tabs shared`);
+    }, 30000);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Shutting down Tab Orchestra server...');
-    server.wss.close(() => {
-        process.exit(0);
+    const shutdown = () => {
+        server.wss.close(() => {
+            server.storage.close();
+            server.broker.close();
+            process.exit(0);
+        });
+    };
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('Shutting down Tab Orchestra server...');
+        shutdown();
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('\nShutting down Tab Orchestra server...');
-    server.wss.close(() => {
-        process.exit(0);
+    process.on('SIGINT', () => {
+        console.log('\nShutting down Tab Orchestra server...');
+        shutdown();
     });
-});
\ No newline at end of file
+}
+
+module.exports = {
+    TabOrchestraServer
+};
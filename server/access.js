@@ -0,0 +1,99 @@
+// Tab Orchestra group access control
+// Passphrase hashing and signed invite tokens for private groups
+
+const crypto = require('crypto');
+
+const DEFAULT_INVITE_TTL = 7 * 24 * 60 * 60; // 7 days, in seconds
+const MAX_INVITE_TTL = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+// Build the access settings stored with a new group
+// mode is 'open', 'passphrase' or 'invite'
+function createGroupAccess(passphrase, inviteOnly = false) {
+    const access = {
+        mode: 'open',
+        inviteSecret: base64url(crypto.randomBytes(32))
+    };
+
+    if (passphrase) {
+        access.mode = 'passphrase';
+        access.salt = base64url(crypto.randomBytes(16));
+        access.passphraseHash = hashPassphrase(passphrase, access.salt);
+    } else if (inviteOnly) {
+        access.mode = 'invite';
+    }
+
+    return access;
+}
+
+function hashPassphrase(passphrase, salt) {
+    return base64url(crypto.scryptSync(String(passphrase), salt, 32));
+}
+
+function verifyPassphrase(access, passphrase) {
+    if (!passphrase || !access.passphraseHash) return false;
+
+    const expected = Buffer.from(access.passphraseHash, 'base64url');
+    const actual = Buffer.from(hashPassphrase(passphrase, access.salt), 'base64url');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function signInvitePayload(secret, payload) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+// Invite tokens are "<payload>.<signature>" where payload is base64url JSON { g, exp, n }
+function createInviteToken(access, groupId, ttlSeconds = DEFAULT_INVITE_TTL) {
+    const ttl = Math.min(Math.max(Number(ttlSeconds) || DEFAULT_INVITE_TTL, 60), MAX_INVITE_TTL);
+    const payload = base64url(JSON.stringify({
+        g: groupId,
+        exp: Date.now() + ttl * 1000,
+        n: base64url(crypto.randomBytes(8))
+    }));
+
+    return `${payload}.${signInvitePayload(access.inviteSecret, payload)}`;
+}
+
+function verifyInviteToken(access, groupId, token) {
+    if (typeof token !== 'string' || !token.includes('.')) return false;
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(signInvitePayload(access.inviteSecret, payload));
+    const actual = Buffer.from(signature || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return false;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims.g === groupId && claims.exp > Date.now();
+    } catch (error) {
+        return false;
+    }
+}
+
+// Check join credentials against a group's access settings
+// Returns null when access is granted, otherwise the rejection reason
+function checkGroupAccess(access, groupId, { passphrase, inviteToken } = {}) {
+    if (!access || access.mode === 'open') return null;
+
+    if (inviteToken) {
+        return verifyInviteToken(access, groupId, inviteToken) ? null : 'invalid_invite';
+    }
+
+    if (access.mode === 'passphrase') {
+        if (!passphrase) return 'passphrase_required';
+        return verifyPassphrase(access, passphrase) ? null : 'invalid_passphrase';
+    }
+
+    return 'invite_required';
+}
+
+module.exports = {
+    createGroupAccess,
+    createInviteToken,
+    checkGroupAccess
+};
@@ -0,0 +1,145 @@
+// Tab Orchestra annotation threads
+// An annotation is a thread anchored to a page URL and a text-quote selector, with replies
+// In encrypted groups the URL, selector and text are one sealed payload the server can't read
+
+const crypto = require('crypto');
+const { hasRole } = require('./roles');
+const { cleanSealed } = require('./encryption');
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_QUOTE_LENGTH = 1000;
+const MAX_CONTEXT_LENGTH = 64;
+
+function cleanText(value, maxLength = MAX_TEXT_LENGTH) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function cleanId(value) {
+    return typeof value === 'string' && value ? value.slice(0, 64) : crypto.randomUUID();
+}
+
+// A text-quote selector: the highlighted text plus a little context on each side to disambiguate it
+function cleanSelector(selector) {
+    if (!selector || typeof selector.exact !== 'string' || !selector.exact.trim()) return null;
+
+    return {
+        exact: selector.exact.slice(0, MAX_QUOTE_LENGTH),
+        prefix: typeof selector.prefix === 'string' ? selector.prefix.slice(-MAX_CONTEXT_LENGTH) : '',
+        suffix: typeof selector.suffix === 'string' ? selector.suffix.slice(0, MAX_CONTEXT_LENGTH) : ''
+    };
+}
+
+// Annotations stored before threads existed become threads without replies
+function migrateAnnotation(annotation) {
+    return {
+        ...annotation,
+        id: typeof annotation.id === 'string' ? annotation.id : crypto.randomUUID(),
+        text: annotation.text || annotation.comment || '',
+        resolved: Boolean(annotation.resolved),
+        replies: Array.isArray(annotation.replies) ? annotation.replies : []
+    };
+}
+
+// Authors can remove their own words, moderators anyone's
+function canDelete(group, item, identity) {
+    return item.createdBy?.userId === identity.userId || hasRole(group, identity.userId, 'moderator');
+}
+
+// Apply one thread action to a group's annotations
+// Returns { thread } for the changed thread, { deletedId } when a thread is gone, or { error }
+function applyAnnotationAction(group, action, payload, identity) {
+    const now = Date.now();
+
+    const sealed = cleanSealed(payload.sealed);
+
+    if (action === 'create') {
+        const selector = cleanSelector(payload.selector);
+        const text = cleanText(payload.text);
+        if (!sealed && (!payload.url || !selector || !text)) return { error: 'invalid_annotation' };
+
+        const id = cleanId(payload.id);
+        if (group.annotations.some(annotation => annotation.id === id)) {
+            return { error: 'duplicate_annotation' };
+        }
+
+        const content = sealed
+            ? { sealed: sealed }
+            : { url: cleanText(payload.url, 2048), selector: selector, text: text };
+        const thread = {
+            id: id,
+            ...content,
+            createdBy: identity,
+            timestamp: now,
+            resolved: false,
+            replies: []
+        };
+        group.annotations.push(thread);
+        return { thread };
+    }
+
+    const thread = group.annotations.find(annotation => annotation.id === payload.annotationId);
+    if (!thread) return { error: 'annotation_not_found' };
+
+    const reply = payload.replyId
+        ? thread.replies.find(entry => entry.id === payload.replyId)
+        : null;
+    if (payload.replyId && !reply) return { error: 'reply_not_found' };
+
+    switch (action) {
+        case 'reply': {
+            const text = cleanText(payload.text);
+            if (!sealed && !text) return { error: 'invalid_reply' };
+
+            thread.replies.push({
+                id: cleanId(payload.id),
+                ...(sealed ? { sealed: sealed } : { text: text }),
+                createdBy: identity,
+                timestamp: now
+            });
+            return { thread };
+        }
+
+        case 'edit': {
+            const target = reply || thread;
+            const text = cleanText(payload.text);
+            if (!sealed && !text) return { error: 'invalid_annotation' };
+            // Only the author may put words in their own mouth
+            if (target.createdBy?.userId !== identity.userId) return { error: 'forbidden' };
+
+            if (sealed) {
+                target.sealed = sealed;
+            } else {
+                target.text = text;
+            }
+            target.updatedAt = now;
+            return { thread };
+        }
+
+        case 'delete': {
+            const target = reply || thread;
+            if (!canDelete(group, target, identity)) return { error: 'forbidden' };
+
+            if (reply) {
+                thread.replies = thread.replies.filter(entry => entry.id !== reply.id);
+                return { thread };
+            }
+
+            group.annotations = group.annotations.filter(annotation => annotation.id !== thread.id);
+            return { deletedId: thread.id };
+        }
+
+        case 'resolve':
+            thread.resolved = Boolean(payload.resolved);
+            thread.resolvedBy = thread.resolved ? identity : null;
+            thread.updatedAt = now;
+            return { thread };
+
+        default:
+            return { error: 'unknown_action' };
+    }
+}
+
+module.exports = {
+    applyAnnotationAction,
+    migrateAnnotation
+};
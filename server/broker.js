@@ -0,0 +1,271 @@
+// Tab Orchestra pub/sub brokers
+// Fan group events out to every server instance so members on different instances see each other
+//
+// A broker has subscribe(channel, handler), unsubscribe(channel, handler), publish(channel, message)
+// and close(). Messages are plain objects; handlers receive them parsed.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const RECONNECT_DELAY = 2000;
+const MAX_QUEUED_COMMANDS = 1000;
+
+// Hand a message to one subscriber; a handler that throws must not take the others, or the server, down with it
+function deliver(channel, handler, message) {
+    try {
+        handler(message);
+    } catch (error) {
+        console.error(`Broker handler for ${channel} failed:`, error);
+    }
+}
+
+// Delivers to subscribers in this process only; share one instance between servers to run several in one process
+class InProcessBroker {
+    constructor() {
+        this.channels = new Map();
+    }
+
+    subscribe(channel, handler) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+        }
+        this.channels.get(channel).add(handler);
+    }
+
+    unsubscribe(channel, handler) {
+        const handlers = this.channels.get(channel);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+        if (handlers.size === 0) {
+            this.channels.delete(channel);
+        }
+    }
+
+    publish(channel, message) {
+        const handlers = this.channels.get(channel);
+        if (!handlers) return;
+
+        // Copy through JSON like a network broker would, and deliver asynchronously
+        const payload = JSON.stringify(message);
+        handlers.forEach(handler => setImmediate(() => deliver(channel, handler, JSON.parse(payload))));
+    }
+
+    close() {
+        this.channels.clear();
+    }
+}
+
+function encodeCommand(args) {
+    let command = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return command;
+}
+
+// Parse one RESP value from buffer at offset; returns { value, offset } or null if more data is needed
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected RESP reply type: ${prefix}`);
+    }
+}
+
+// One connection to a Redis-protocol server that reconnects on its own
+// Emits 'ready' after each (re)connect and 'reply' for every value the server sends
+class RespConnection extends EventEmitter {
+    constructor(url) {
+        super();
+        const parsed = new URL(url);
+        this.host = parsed.hostname || 'localhost';
+        this.port = Number(parsed.port) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.socket = null;
+        this.connected = false;
+        this.closed = false;
+        this.queue = [];
+        this.buffer = Buffer.alloc(0);
+        this.connect();
+    }
+
+    connect() {
+        this.buffer = Buffer.alloc(0);
+        this.socket = net.createConnection({ host: this.host, port: this.port });
+
+        this.socket.on('connect', () => {
+            this.connected = true;
+            if (this.password) {
+                this.socket.write(encodeCommand(['AUTH', this.password]));
+            }
+            this.emit('ready');
+
+            const queued = this.queue;
+            this.queue = [];
+            queued.forEach(args => this.send(args));
+        });
+
+        this.socket.on('data', chunk => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            try {
+                let reply;
+                while ((reply = parseReply(this.buffer))) {
+                    this.buffer = this.buffer.subarray(reply.offset);
+                    if (reply.value instanceof Error) {
+                        console.error(`Broker error from ${this.host}:${this.port}:`, reply.value.message);
+                    } else {
+                        this.emit('reply', reply.value);
+                    }
+                }
+            } catch (error) {
+                // The rest of the stream can't be trusted after a reply we couldn't read; start over on a new connection
+                console.error(`Dropping broker connection to ${this.host}:${this.port}:`, error.message);
+                this.socket.destroy();
+            }
+        });
+
+        this.socket.on('error', error => {
+            console.error(`Broker connection to ${this.host}:${this.port} failed:`, error.message);
+        });
+
+        this.socket.on('close', () => {
+            this.connected = false;
+            if (!this.closed) {
+                setTimeout(() => this.connect(), RECONNECT_DELAY);
+            }
+        });
+    }
+
+    // Send a command now, or once connected; commands beyond the queue limit are dropped
+    send(args) {
+        if (this.connected) {
+            this.socket.write(encodeCommand(args));
+        } else if (this.queue.length < MAX_QUEUED_COMMANDS) {
+            this.queue.push(args);
+        }
+    }
+
+    close() {
+        this.closed = true;
+        if (this.connected) {
+            this.socket.end(encodeCommand(['QUIT']));
+        } else {
+            this.socket.destroy();
+        }
+    }
+}
+
+// Uses a Redis-compatible server's PUBLISH/SUBSCRIBE; needs two connections since a subscribed one can't publish
+class RedisBroker {
+    constructor(url = 'redis://localhost:6379') {
+        this.channels = new Map();
+        this.publisher = new RespConnection(url);
+        this.subscriber = new RespConnection(url);
+
+        this.subscriber.on('ready', () => {
+            // Subscriptions don't survive a reconnect
+            if (this.channels.size > 0) {
+                this.subscriber.send(['SUBSCRIBE', ...this.channels.keys()]);
+            }
+        });
+
+        this.subscriber.on('reply', reply => {
+            if (!Array.isArray(reply) || reply[0] !== 'message') return;
+
+            const [, channel, payload] = reply;
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (error) {
+                console.error(`Ignoring malformed broker message on ${channel}`);
+                return;
+            }
+            this.channels.get(channel)?.forEach(handler => deliver(channel, handler, message));
+        });
+    }
+
+    subscribe(channel, handler) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+            if (this.subscriber.connected) {
+                this.subscriber.send(['SUBSCRIBE', channel]);
+            }
+        }
+        this.channels.get(channel).add(handler);
+    }
+
+    unsubscribe(channel, handler) {
+        const handlers = this.channels.get(channel);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+        if (handlers.size === 0) {
+            this.channels.delete(channel);
+            if (this.subscriber.connected) {
+                this.subscriber.send(['UNSUBSCRIBE', channel]);
+            }
+        }
+    }
+
+    publish(channel, message) {
+        this.publisher.send(['PUBLISH', channel, JSON.stringify(message)]);
+    }
+
+    close() {
+        this.publisher.close();
+        this.subscriber.close();
+    }
+}
+
+function createBroker({ type = 'memory', url } = {}) {
+    switch (type) {
+        case 'memory':
+            return new InProcessBroker();
+        case 'redis':
+            return new RedisBroker(url);
+        default:
+            throw new Error(`Unknown broker type: ${type}`);
+    }
+}
+
+module.exports = {
+    createBroker,
+    encodeCommand,
+    parseReply,
+    InProcessBroker,
+    RedisBroker
+};
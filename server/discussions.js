@@ -0,0 +1,68 @@
+// Tab Orchestra group discussions
+// A chat channel per group plus a thread per shared tab or cluster, stored with the group
+//
+// Thread keys: 'group' for the group chat, 'tab:<tab id>' or 'cluster:<cluster id>', where the cluster ID
+// is the one every member derives from the cluster's name (clusterId in protocol.js)
+// In encrypted groups the text is a sealed payload the server can't read
+
+const crypto = require('crypto');
+const { MAX_THREAD_MESSAGES, isClusterId } = require('../protocol');
+const { cleanSealed } = require('./encryption');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_KEY_LENGTH = 100;
+
+function parseThread(thread) {
+    if (thread === 'group') return { kind: 'group', id: null };
+
+    const match = /^(tab|cluster):(.+)$/.exec(thread);
+    if (!match || thread.length > MAX_KEY_LENGTH) return null;
+    if (match[1] === 'cluster' && !isClusterId(match[2])) return null;
+    return { kind: match[1], id: match[2] };
+}
+
+// Add a chat message to one of a group's threads
+// Returns { message } or { error }
+function addChatMessage(group, payload, identity) {
+    const thread = parseThread(payload.thread);
+    if (!thread) return { error: 'invalid_thread' };
+
+    if (thread.kind === 'tab' && !group.sharedTabs.some(tab => tab.id === thread.id)) {
+        return { error: 'thread_not_found' };
+    }
+
+    const sealed = cleanSealed(payload.sealed);
+    const text = typeof payload.text === 'string' ? payload.text.trim().slice(0, MAX_MESSAGE_LENGTH) : '';
+    if (!sealed && !text) return { error: 'empty_message' };
+
+    const messages = group.discussions[payload.thread] || [];
+    const id = typeof payload.id === 'string' && payload.id ? payload.id.slice(0, 64) : crypto.randomUUID();
+    if (messages.some(entry => entry.id === id)) return { error: 'duplicate_message' };
+
+    const message = {
+        id: id,
+        thread: payload.thread,
+        ...(sealed ? { sealed: sealed } : { text: text }),
+        createdBy: identity,
+        timestamp: Date.now()
+    };
+    group.discussions[payload.thread] = [...messages, message].slice(-MAX_THREAD_MESSAGES);
+
+    return { message };
+}
+
+// Drop the threads of tabs that are no longer shared in the group
+function pruneTabThreads(group) {
+    const tabIds = new Set(group.sharedTabs.map(tab => tab.id));
+    Object.keys(group.discussions).forEach(key => {
+        const thread = parseThread(key);
+        if (thread && thread.kind === 'tab' && !tabIds.has(thread.id)) {
+            delete group.discussions[key];
+        }
+    });
+}
+
+module.exports = {
+    addChatMessage,
+    pruneTabThreads
+};
@@ -0,0 +1,63 @@
+// Tab Orchestra encrypted groups
+// The server never holds a group key: it stores and relays sealed payloads and the wrapped secrets of key rotations
+
+// Encryption state kept on encrypted groups; plain groups have null
+// epoch counts key rotations, rotation is the latest one so members who missed it can still unwrap their secret
+function createEncryption(encrypted) {
+    return encrypted ? { epoch: 0, rotation: null } : null;
+}
+
+// Keep only the envelope fields of a sealed payload
+function cleanSealed(sealed) {
+    if (!sealed || typeof sealed !== 'object') return null;
+    if (!Number.isInteger(sealed.epoch) || typeof sealed.iv !== 'string' || typeof sealed.data !== 'string') return null;
+
+    return { epoch: sealed.epoch, iv: sealed.iv, data: sealed.data };
+}
+
+// Why a payload can't go into a group, or null if it can
+// Encrypted groups only take sealed payloads under a key that exists, plain groups only plaintext
+function checkSealing(group, sealed) {
+    if (!group.encryption) return sealed ? 'not_encrypted' : null;
+    if (!sealed) return 'encryption_required';
+    if (sealed.epoch < 0 || sealed.epoch > group.encryption.epoch) return 'unknown_key_epoch';
+    return null;
+}
+
+// Record a key rotation sent by a moderator; epochs go up one at a time so concurrent rotations can't both win
+// Returns { encryption } or { error }
+function rotateKey(group, epoch, rotation, identity) {
+    if (!group.encryption) return { error: 'not_encrypted' };
+    if (epoch !== group.encryption.epoch + 1) return { error: 'stale_key_epoch' };
+
+    const history = cleanSealed(rotation.history);
+    if (!history || typeof rotation.ephemeralKey !== 'string' || !rotation.wrappedKeys) {
+        return { error: 'invalid_rotation' };
+    }
+
+    const wrappedKeys = {};
+    Object.entries(rotation.wrappedKeys).forEach(([userId, wrapped]) => {
+        const cleaned = cleanSealed(wrapped);
+        if (cleaned) wrappedKeys[userId] = cleaned;
+    });
+
+    group.encryption = {
+        epoch: epoch,
+        rotation: {
+            epoch: epoch,
+            ephemeralKey: rotation.ephemeralKey,
+            wrappedKeys: wrappedKeys,
+            history: history,
+            rotatedBy: identity,
+            timestamp: Date.now()
+        }
+    };
+    return { encryption: group.encryption };
+}
+
+module.exports = {
+    createEncryption,
+    cleanSealed,
+    checkSealing,
+    rotateKey
+};
@@ -0,0 +1,68 @@
+// Tab Orchestra endpoint settings
+// TLS for https:// and wss://, the access tokens extensions must present to connect, and the key user IDs are signed with
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { SUBPROTOCOL, readTokenSubprotocol } = require('../protocol');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+// TLS_CERT and TLS_KEY are paths to PEM files; with both set the server only speaks TLS
+// SERVER_TOKENS is a comma-separated list of accepted tokens; without it anyone may connect
+// IDENTITY_SECRET signs user IDs; without it the server keeps a random one in its storage
+function loadEndpoint(env = process.env) {
+    const endpoint = { tls: null, tokenHashes: [], identitySecret: env.IDENTITY_SECRET || null };
+
+    if (env.TLS_CERT || env.TLS_KEY) {
+        if (!env.TLS_CERT || !env.TLS_KEY) {
+            throw new Error('TLS needs both TLS_CERT and TLS_KEY');
+        }
+        endpoint.tls = {
+            cert: fs.readFileSync(env.TLS_CERT),
+            key: fs.readFileSync(env.TLS_KEY)
+        };
+    }
+
+    endpoint.tokenHashes = (env.SERVER_TOKENS || '')
+        .split(',')
+        .map(token => token.trim())
+        .filter(Boolean)
+        .map(hashToken);
+
+    return endpoint;
+}
+
+function requiresToken(endpoint) {
+    return endpoint.tokenHashes.length > 0;
+}
+
+// Whether a client presenting token may use the server
+function checkServerToken(endpoint, token) {
+    if (!requiresToken(endpoint)) return true;
+    if (typeof token !== 'string' || !token) return false;
+
+    // Comparing fixed-length hashes keeps the comparison constant-time whatever the token's length
+    const actual = hashToken(token);
+    return endpoint.tokenHashes.some(expected => crypto.timingSafeEqual(expected, actual));
+}
+
+// The token a WebSocket client offers: an X-Server-Token header, or a token subprotocol from browsers, which can't set headers
+function readSocketToken(req) {
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    return req.headers['x-server-token'] || readTokenSubprotocol(protocols);
+}
+
+// The subprotocol to answer a WebSocket handshake with; never the token one, so it isn't echoed back
+function selectSubprotocol(protocols) {
+    return protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false;
+}
+
+module.exports = {
+    loadEndpoint,
+    requiresToken,
+    checkServerToken,
+    readSocketToken,
+    selectSubprotocol
+};
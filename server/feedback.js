@@ -0,0 +1,71 @@
+// Tab Orchestra tab feedback
+// Emoji reactions and up/down votes on shared tabs, aggregated into tab.feedback
+
+const MAX_REACTIONS_PER_TAB = 20; // Distinct emoji
+const MAX_EMOJI_LENGTH = 16; // Allows skin tones and ZWJ sequences
+
+function emptyFeedback() {
+    return { reactions: {}, votes: {}, up: 0, down: 0, score: 0 };
+}
+
+function isEmoji(value) {
+    return typeof value === 'string' &&
+        value.length > 0 &&
+        value.length <= MAX_EMOJI_LENGTH &&
+        /^\p{Extended_Pictographic}/u.test(value) &&
+        !/[\p{L}\p{N}\s]/u.test(value);
+}
+
+// Recount the totals after the votes changed
+function tallyVotes(feedback) {
+    const values = Object.values(feedback.votes);
+    feedback.up = values.filter(value => value > 0).length;
+    feedback.down = values.filter(value => value < 0).length;
+    feedback.score = feedback.up - feedback.down;
+}
+
+// Toggle a user's emoji reaction on a tab
+// Returns { feedback } or { error }
+function toggleReaction(tab, emoji, userId) {
+    if (!isEmoji(emoji)) return { error: 'invalid_reaction' };
+
+    const feedback = tab.feedback || emptyFeedback();
+    const users = feedback.reactions[emoji] || [];
+
+    if (users.includes(userId)) {
+        feedback.reactions[emoji] = users.filter(id => id !== userId);
+        if (feedback.reactions[emoji].length === 0) {
+            delete feedback.reactions[emoji];
+        }
+    } else {
+        if (!feedback.reactions[emoji] && Object.keys(feedback.reactions).length >= MAX_REACTIONS_PER_TAB) {
+            return { error: 'too_many_reactions' };
+        }
+        feedback.reactions[emoji] = [...users, userId];
+    }
+
+    tab.feedback = feedback;
+    return { feedback };
+}
+
+// Set a user's vote on a tab: 1 up, -1 down, 0 to take the vote back
+// Returns { feedback } or { error }
+function castVote(tab, value, userId) {
+    if (![1, 0, -1].includes(value)) return { error: 'invalid_vote' };
+
+    const feedback = tab.feedback || emptyFeedback();
+    if (value === 0) {
+        delete feedback.votes[userId];
+    } else {
+        feedback.votes[userId] = value;
+    }
+    tallyVotes(feedback);
+
+    tab.feedback = feedback;
+    return { feedback };
+}
+
+module.exports = {
+    toggleReaction,
+    castVote
+};
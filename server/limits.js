@@ -0,0 +1,243 @@
+// Tab Orchestra abuse protection
+// Rate limits, payload caps, connection caps and temporary bans so one client can't flood a group
+
+const DEFAULT_LIMITS = {
+    maxPayloadBytes: 64 * 1024, // Largest WebSocket message accepted
+    maxStringLength: 10000, // Longest string allowed anywhere in a message
+    maxConnections: 1000, // Open sockets across all addresses
+    maxConnectionsPerIp: 20,
+    clientMessagesPerMinute: 120, // Sustained message rate per client...
+    clientBurst: 30, // ...plus this many messages in a burst
+    groupEventsPerMinute: 300, // Shares, annotations and cluster updates per group
+    groupBurst: 60,
+    strikesBeforeBan: 10, // Rejected messages from one address within a minute before it is banned
+    banDurationMs: 5 * 60 * 1000,
+    trustProxy: false // Take the client address from X-Forwarded-For (only behind a trusted proxy)
+};
+
+// Environment variable for each limit, e.g. MAX_CONNECTIONS_PER_IP=50
+const LIMIT_ENV = {
+    maxPayloadBytes: 'MAX_PAYLOAD_BYTES',
+    maxStringLength: 'MAX_STRING_LENGTH',
+    maxConnections: 'MAX_CONNECTIONS',
+    maxConnectionsPerIp: 'MAX_CONNECTIONS_PER_IP',
+    clientMessagesPerMinute: 'CLIENT_MESSAGES_PER_MINUTE',
+    clientBurst: 'CLIENT_BURST',
+    groupEventsPerMinute: 'GROUP_EVENTS_PER_MINUTE',
+    groupBurst: 'GROUP_BURST',
+    strikesBeforeBan: 'STRIKES_BEFORE_BAN',
+    banDurationMs: 'BAN_DURATION_MS',
+    trustProxy: 'TRUST_PROXY'
+};
+
+const STRIKE_WINDOW = 60 * 1000;
+
+function loadLimits(env = process.env) {
+    const limits = { ...DEFAULT_LIMITS };
+
+    Object.entries(LIMIT_ENV).forEach(([key, name]) => {
+        if (env[name] === undefined || env[name] === '') return;
+
+        if (typeof DEFAULT_LIMITS[key] === 'boolean') {
+            limits[key] = env[name] === 'true' || env[name] === '1';
+            return;
+        }
+
+        const value = Number(env[name]);
+        if (Number.isFinite(value) && value > 0) {
+            limits[key] = value;
+        } else {
+            console.warn(`Ignoring invalid ${name}=${env[name]}`);
+        }
+    });
+
+    return limits;
+}
+
+// Token buckets keyed by client or group: each key may spend `burst` tokens at once, refilled at perMinute
+class RateLimiter {
+    constructor(perMinute, burst) {
+        this.refillPerMs = perMinute / 60000;
+        this.burst = burst;
+        this.buckets = new Map();
+    }
+
+    // Spend a token for key; returns 0 if allowed, otherwise milliseconds until a token is available
+    take(key, now = Date.now()) {
+        const bucket = this.buckets.get(key) || { tokens: this.burst, updated: now };
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updated) * this.refillPerMs);
+        bucket.updated = now;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / this.refillPerMs);
+    }
+
+    // Forget keys whose buckets have refilled completely
+    prune(now = Date.now()) {
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updated) * this.refillPerMs >= this.burst) {
+                this.buckets.delete(key);
+            }
+        });
+    }
+}
+
+// Path of the first string longer than maxLength anywhere in value, or null
+function findOversizedString(value, maxLength, path = '') {
+    if (typeof value === 'string') {
+        return value.length > maxLength ? path || 'message' : null;
+    }
+    if (value === null || typeof value !== 'object') return null;
+
+    for (const [key, item] of Object.entries(value)) {
+        const found = findOversizedString(item, maxLength, Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+        if (found) return found;
+    }
+    return null;
+}
+
+// Tracks connections, rate limits and bans per address, and counts what it refused for /stats
+class AbuseGuard {
+    constructor(limits = DEFAULT_LIMITS) {
+        this.limits = limits;
+        this.clientLimiter = new RateLimiter(limits.clientMessagesPerMinute, limits.clientBurst);
+        this.groupLimiter = new RateLimiter(limits.groupEventsPerMinute, limits.groupBurst);
+        this.connections = new Map(); // ip -> open sockets
+        this.strikes = new Map(); // ip -> timestamps of recent rejections
+        this.bans = new Map(); // ip -> banned until
+        this.counters = {
+            rateLimitedMessages: 0,
+            oversizedMessages: 0,
+            rejectedConnections: 0,
+            bans: 0
+        };
+    }
+
+    getAddress(req) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (this.limits.trustProxy && forwarded) {
+            return forwarded.split(',')[0].trim();
+        }
+        return req.socket.remoteAddress;
+    }
+
+    // Milliseconds left on an address's ban, or 0
+    banRemaining(ip, now = Date.now()) {
+        const until = this.bans.get(ip);
+        if (!until) return 0;
+        if (until <= now) {
+            this.bans.delete(ip);
+            return 0;
+        }
+        return until - now;
+    }
+
+    // Count a new socket from ip; returns { code, retryAfter } if it must be refused
+    admitConnection(ip) {
+        const retryAfter = this.banRemaining(ip);
+        let refusal = null;
+
+        if (retryAfter) {
+            refusal = { code: 'banned', retryAfter };
+        } else if (this.totalConnections() >= this.limits.maxConnections ||
+            (this.connections.get(ip) || 0) >= this.limits.maxConnectionsPerIp) {
+            refusal = { code: 'too_many_connections' };
+        }
+
+        if (refusal) {
+            this.counters.rejectedConnections += 1;
+            return refusal;
+        }
+
+        this.connections.set(ip, (this.connections.get(ip) || 0) + 1);
+        return null;
+    }
+
+    releaseConnection(ip) {
+        const count = (this.connections.get(ip) || 0) - 1;
+        if (count > 0) {
+            this.connections.set(ip, count);
+        } else {
+            this.connections.delete(ip);
+        }
+    }
+
+    totalConnections() {
+        let total = 0;
+        this.connections.forEach(count => { total += count; });
+        return total;
+    }
+
+    // Details of a string cap violation, or null
+    checkPayload(message) {
+        const path = findOversizedString(message, this.limits.maxStringLength);
+        if (!path) return null;
+
+        this.counters.oversizedMessages += 1;
+        return `${path}: longer than ${this.limits.maxStringLength} characters`;
+    }
+
+    // Spend rate limit budget for a message; returns 0 if allowed, otherwise milliseconds to wait
+    takeMessage(clientId, groupIds = []) {
+        const now = Date.now();
+        let retryAfter = this.clientLimiter.take(clientId, now);
+
+        groupIds.forEach(groupId => {
+            if (!retryAfter) retryAfter = this.groupLimiter.take(groupId, now);
+        });
+
+        if (retryAfter) this.counters.rateLimitedMessages += 1;
+        return retryAfter;
+    }
+
+    countOversizedFrame() {
+        this.counters.oversizedMessages += 1;
+    }
+
+    // Record a refused message from ip; returns the ban length once it has too many strikes
+    recordStrike(ip) {
+        const now = Date.now();
+        const recent = (this.strikes.get(ip) || []).filter(time => now - time < STRIKE_WINDOW);
+        recent.push(now);
+
+        if (recent.length < this.limits.strikesBeforeBan) {
+            this.strikes.set(ip, recent);
+            return 0;
+        }
+
+        this.strikes.delete(ip);
+        this.bans.set(ip, now + this.limits.banDurationMs);
+        this.counters.bans += 1;
+        return this.limits.banDurationMs;
+    }
+
+    prune(now = Date.now()) {
+        this.clientLimiter.prune(now);
+        this.groupLimiter.prune(now);
+        this.bans.forEach((until, ip) => {
+            if (until <= now) this.bans.delete(ip);
+        });
+        this.strikes.forEach((times, ip) => {
+            if (times.every(time => now - time >= STRIKE_WINDOW)) this.strikes.delete(ip);
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.counters,
+            activeBans: this.bans.size,
+            openConnections: this.totalConnections()
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    loadLimits,
+    RateLimiter,
+    AbuseGuard
+};
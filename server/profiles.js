@@ -0,0 +1,72 @@
+// Tab Orchestra member profiles
+// Normalizes the user identity each extension sends so it is safe to store and broadcast,
+// and signs the user IDs the server hands out so no one can claim another member's
+
+const crypto = require('crypto');
+
+const MEMBER_COLORS = ['#e57373', '#64b5f6', '#81c784', '#ffb74d', '#ba68c8', '#4db6ac', '#f06292', '#a1887f'];
+
+// Pick a stable color for an ID so members without a chosen color don't all look the same
+function colorFor(id) {
+    let hash = 0;
+    for (const char of String(id)) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return MEMBER_COLORS[hash % MEMBER_COLORS.length];
+}
+
+function cleanString(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function defaultProfile(clientId) {
+    return {
+        userId: clientId,
+        displayName: `Guest ${clientId.slice(0, 4)}`,
+        color: colorFor(clientId),
+        avatar: null
+    };
+}
+
+// A new user ID and the token that proves it on later connections
+function createIdentity(secret) {
+    const userId = crypto.randomUUID();
+    return { userId, identityToken: signIdentity(secret, userId) };
+}
+
+function signIdentity(secret, userId) {
+    return crypto.createHmac('sha256', secret).update(userId).digest('base64url');
+}
+
+// Whether identityToken was issued by this server for userId
+function checkIdentity(secret, userId, identityToken) {
+    if (typeof userId !== 'string' || typeof identityToken !== 'string') return false;
+
+    const expected = Buffer.from(signIdentity(secret, userId));
+    const actual = Buffer.from(identityToken);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Turn a client-supplied profile into { userId, displayName, color, avatar, publicKey }
+// userId is the identity the server settled on; only the display fields come from the client
+// publicKey is the member key encrypted groups wrap new group secrets for
+function normalizeProfile(profile, userId) {
+    if (!profile || typeof profile !== 'object') return defaultProfile(userId);
+
+    const color = cleanString(profile.color, 7);
+
+    return {
+        userId: userId,
+        displayName: cleanString(profile.displayName, 50) || `Guest ${userId.slice(0, 4)}`,
+        color: /^#[0-9a-fA-F]{6}$/.test(color) ? color : colorFor(userId),
+        avatar: cleanString(profile.avatar, 200) || null,
+        publicKey: cleanString(profile.publicKey, 200) || null
+    };
+}
+
+module.exports = {
+    defaultProfile,
+    normalizeProfile,
+    createIdentity,
+    checkIdentity
+};
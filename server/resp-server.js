@@ -0,0 +1,99 @@
+// Tab Orchestra stand-in broker
+// A minimal Redis-protocol server that knows only the pub/sub commands the Redis broker sends, so several
+// instances can run on one machine without Redis: node server/resp-server.js [port]
+
+const net = require('net');
+const { parseReply } = require('./broker');
+
+const DEFAULT_PORT = 6379;
+
+// RESP array of bulk strings and integers, the shape of every pub/sub reply
+function encodeArray(items) {
+    return `*${items.length}\r\n` + items.map(item => (typeof item === 'number'
+        ? `:${item}\r\n`
+        : `$${Buffer.byteLength(item)}\r\n${item}\r\n`)).join('');
+}
+
+function createRespServer() {
+    // Channel -> sockets subscribed to it
+    const channels = new Map();
+
+    function runCommand(socket, subscribed, args) {
+        const [name = '', ...params] = Array.isArray(args) ? args.map(String) : [];
+
+        switch (name.toUpperCase()) {
+            case 'SUBSCRIBE':
+                params.forEach(channel => {
+                    if (!channels.has(channel)) channels.set(channel, new Set());
+                    channels.get(channel).add(socket);
+                    subscribed.add(channel);
+                    socket.write(encodeArray(['subscribe', channel, subscribed.size]));
+                });
+                break;
+            case 'UNSUBSCRIBE':
+                params.forEach(channel => {
+                    channels.get(channel)?.delete(socket);
+                    subscribed.delete(channel);
+                    socket.write(encodeArray(['unsubscribe', channel, subscribed.size]));
+                });
+                break;
+            case 'PUBLISH': {
+                const [channel, message] = params;
+                const receivers = channels.get(channel) || new Set();
+                receivers.forEach(receiver => receiver.write(encodeArray(['message', channel, message])));
+                socket.write(`:${receivers.size}\r\n`);
+                break;
+            }
+            case 'PING':
+                socket.write('+PONG\r\n');
+                break;
+            case 'AUTH':
+                socket.write('+OK\r\n');
+                break;
+            case 'QUIT':
+                socket.end('+OK\r\n');
+                break;
+            default:
+                socket.write(`-ERR unknown command '${name}'\r\n`);
+        }
+    }
+
+    return net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        const subscribed = new Set();
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            try {
+                let request;
+                while ((request = parseReply(buffer))) {
+                    buffer = buffer.subarray(request.offset);
+                    runCommand(socket, subscribed, request.value);
+                }
+            } catch (error) {
+                socket.destroy();
+            }
+        });
+
+        socket.on('close', () => {
+            subscribed.forEach(channel => {
+                const sockets = channels.get(channel);
+                sockets?.delete(socket);
+                if (sockets?.size === 0) channels.delete(channel);
+            });
+        });
+
+        socket.on('error', () => {});
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    createRespServer().listen(port, () => {
+        console.log(`Stand-in broker listening on redis://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    createRespServer
+};
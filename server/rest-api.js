@@ -0,0 +1,217 @@
+// Tab Orchestra REST API
+// HTTP routes served next to the WebSocket endpoint for dashboards and scripts
+
+const { checkGroupAccess } = require('./access');
+const { checkJoin, checkContribute } = require('./roles');
+const { checkServerToken } = require('./endpoint');
+const { normalizeProfile } = require('./profiles');
+const { validateClientMessage } = require('../protocol');
+
+const MAX_BODY_SIZE = 64 * 1024;
+// Every REST share is made by this one user, so roles and bans apply to REST callers as a whole
+const REST_USER_ID = 'rest-api';
+
+// Rejection reasons that mean "no credentials given" rather than "wrong credentials"
+const MISSING_CREDENTIALS = ['passphrase_required', 'invite_required'];
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Same credentials as join_group: "Authorization: Bearer <invite token>" or "X-Group-Passphrase"
+function getCredentials(req) {
+    const authorization = req.headers['authorization'] || '';
+    return {
+        inviteToken: authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : undefined,
+        passphrase: req.headers['x-group-passphrase']
+    };
+}
+
+function createRestHandler(orchestra) {
+    // Look up a stored group and check the caller may access it; sends the error response if not
+    function authorizeGroup(req, res, groupId) {
+        const record = orchestra.storage.getGroup(groupId);
+        if (!record) {
+            sendJson(res, 404, { error: 'group_not_found' });
+            return null;
+        }
+
+        const reason = checkGroupAccess(record.access, groupId, getCredentials(req));
+        if (reason) {
+            sendJson(res, MISSING_CREDENTIALS.includes(reason) ? 401 : 403, { error: reason });
+            return null;
+        }
+
+        return record;
+    }
+
+    // Spend the same rate limit budget as a share_tab over the socket: the caller's address stands in for the
+    // client, and the group's budget is shared with its members. Sends a 429 if either is used up
+    function admitShare(req, res, groupId) {
+        const ip = orchestra.guard.getAddress(req);
+        const retryAfter = orchestra.guard.banRemaining(ip) || orchestra.guard.takeMessage(`rest:${ip}`, [groupId]);
+        if (!retryAfter) return true;
+
+        console.log(`Rate limited REST share from ${ip} for ${retryAfter}ms`);
+        orchestra.recordStrike(ip);
+        sendJson(res, 429, { error: 'rate_limited', retryAfter }, { 'Retry-After': String(Math.ceil(retryAfter / 1000)) });
+        return false;
+    }
+
+    // The share_tab a body stands for, checked like one sent over the socket; sends a 400 and returns false if it fails
+    function checkShare(req, res, body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            sendJson(res, 400, { error: 'invalid_message', details: ['body: must be an object'] });
+            return false;
+        }
+
+        const oversized = orchestra.guard.checkPayload(body);
+        if (oversized) {
+            orchestra.recordStrike(orchestra.guard.getAddress(req));
+            sendJson(res, 400, { error: 'payload_too_large', details: [oversized] });
+            return false;
+        }
+
+        const problem = validateClientMessage({
+            type: 'share_tab',
+            data: { url: body.url, title: body.title, summary: body.summary },
+            profile: { displayName: body.displayName ?? body.profile?.displayName }
+        });
+        if (problem) {
+            sendJson(res, 400, { error: problem.code, details: problem.details });
+            return false;
+        }
+        return true;
+    }
+
+    async function handleShareTab(req, res, groupId) {
+        const body = await readJsonBody(req);
+        if (!checkShare(req, res, body)) return;
+
+        // Callers may name themselves, but never pick the user the share is credited to
+        const displayName = body.displayName ?? body.profile?.displayName;
+        const sharedBy = normalizeProfile({ displayName: displayName || 'REST API' }, REST_USER_ID);
+
+        // Checked and changed on a fresh copy of the group, like a share_tab over the socket
+        orchestra.withFreshGroups([groupId], () => {
+            const group = orchestra.loadGroup(groupId);
+            const reason = checkJoin(group, sharedBy.userId) || checkContribute(group, sharedBy.userId);
+            if (reason) {
+                sendJson(res, 403, { error: reason });
+                return;
+            }
+
+            // Only members holding the group key can share into an encrypted group
+            if (group.encryption) {
+                sendJson(res, 409, { error: 'encryption_required' });
+                return;
+            }
+
+            const tab = orchestra.addSharedTab(group, {
+                title: body.title ?? body.url,
+                url: body.url,
+                summary: body.summary ?? 'No summary available',
+                groupId: groupId
+            }, sharedBy);
+
+            sendJson(res, 201, { tab });
+        });
+    }
+
+    return async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Group-Passphrase, X-Server-Token'
+                });
+                res.end();
+                return;
+            }
+
+            if (req.method === 'GET' && pathname === '/health') {
+                sendJson(res, 200, { status: 'ok', uptime: process.uptime() });
+                return;
+            }
+
+            // Everything but the health check needs the server token when the server has one
+            if (!checkServerToken(orchestra.endpoint, req.headers['x-server-token'])) {
+                sendJson(res, 401, { error: 'unauthorized' });
+                return;
+            }
+
+            if (req.method === 'GET' && pathname === '/stats') {
+                sendJson(res, 200, orchestra.getStats());
+                return;
+            }
+
+            const match = pathname.match(/^\/groups\/([^/]+)\/(tabs|annotations)$/);
+            if (match) {
+                const groupId = decodeURIComponent(match[1]);
+                const resource = match[2];
+
+                if (req.method === 'GET') {
+                    const record = authorizeGroup(req, res, groupId);
+                    if (record) {
+                        sendJson(res, 200, resource === 'tabs'
+                            ? { groupId, sharedTabs: record.sharedTabs }
+                            : { groupId, annotations: record.annotations });
+                    }
+                    return;
+                }
+
+                if (req.method === 'POST' && resource === 'tabs') {
+                    if (authorizeGroup(req, res, groupId) && admitShare(req, res, groupId)) {
+                        await handleShareTab(req, res, groupId);
+                    }
+                    return;
+                }
+
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            if (!error.status) {
+                console.error(`REST request ${req.method} ${pathname} failed:`, error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createRestHandler
+};
@@ -0,0 +1,67 @@
+// Tab Orchestra group roles
+// owner > moderator > member > readonly; roles are kept per group by user ID, members have none stored
+
+const ROLE_RANKS = {
+    readonly: 0,
+    member: 1,
+    moderator: 2,
+    owner: 3
+};
+
+// Roles that can be handed out; ownership stays with the group's creator
+const ASSIGNABLE_ROLES = ['readonly', 'member', 'moderator'];
+
+function getRole(group, userId) {
+    if (group.owner && group.owner === userId) return 'owner';
+    return group.roles[userId] || 'member';
+}
+
+function hasRole(group, userId, minimum) {
+    return ROLE_RANKS[getRole(group, userId)] >= ROLE_RANKS[minimum];
+}
+
+// Why a user may not add or change content in a group, or null if they may
+function checkContribute(group, userId) {
+    if (getRole(group, userId) === 'readonly') return 'read_only';
+    if (group.locked && !hasRole(group, userId, 'moderator')) return 'group_locked';
+    return null;
+}
+
+// Why a user may not join a group, or null if they may
+// A locked group only lets back in people who have been members before
+function checkJoin(group, userId) {
+    if (group.bans[userId]) return 'banned';
+    if (group.locked && !group.knownMembers[userId] && !hasRole(group, userId, 'moderator')) return 'group_locked';
+    return null;
+}
+
+// Moderators act on members below them; the owner acts on everyone else
+function canModerate(group, actorId, targetId) {
+    return actorId !== targetId &&
+        hasRole(group, actorId, 'moderator') &&
+        ROLE_RANKS[getRole(group, actorId)] > ROLE_RANKS[getRole(group, targetId)];
+}
+
+// Give a member a new role; only the owner may make or unmake moderators
+// Returns { role } or { error }
+function assignRole(group, actorId, targetId, role) {
+    if (!ASSIGNABLE_ROLES.includes(role)) return { error: 'invalid_role' };
+    if (!canModerate(group, actorId, targetId)) return { error: 'forbidden' };
+    if (role === 'moderator' && getRole(group, actorId) !== 'owner') return { error: 'forbidden' };
+
+    if (role === 'member') {
+        delete group.roles[targetId];
+    } else {
+        group.roles[targetId] = role;
+    }
+    return { role };
+}
+
+module.exports = {
+    getRole,
+    hasRole,
+    checkContribute,
+    checkJoin,
+    canModerate,
+    assignRole
+};
@@ -0,0 +1,349 @@
+// Tab Orchestra group storage
+// Persists group records (shared tabs, annotations, metadata) so they survive server restarts
+//
+// Each group also has an event log ({ seq, events }) for replay to reconnecting clients. Only appendEvent
+// writes it, handing out the next sequence number, so instances sharing storage never reuse one.
+// getGroup returns the log merged into the record; saveGroup leaves it alone.
+//
+// saveGroup replaces the whole record, so instances sharing storage read, change and save a group inside
+// transaction(fn), which keeps other instances from saving in between.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// A record without its event log, which saveGroup doesn't write
+function withoutEventLog(record) {
+    const { seq, events, ...rest } = record;
+    return rest;
+}
+
+// Deep copy a record so callers never hold references into the store
+function cloneRecord(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+// Keeps records in memory only - used when persistence is disabled
+class MemoryStorage {
+    constructor() {
+        this.records = new Map();
+        // Group ID -> { seq, events }
+        this.eventLogs = new Map();
+        this.secrets = new Map();
+    }
+
+    load() {
+        return this.records.size;
+    }
+
+    getGroup(groupId) {
+        const record = this.records.get(groupId);
+        return record ? { ...cloneRecord(record), ...this.getEventLog(groupId) } : null;
+    }
+
+    saveGroup(record) {
+        this.records.set(record.id, cloneRecord(withoutEventLog(record)));
+    }
+
+    deleteGroup(groupId) {
+        this.records.delete(groupId);
+        this.eventLogs.delete(groupId);
+    }
+
+    getEventLog(groupId) {
+        return cloneRecord(this.eventLogs.get(groupId)) || { seq: 0, events: [] };
+    }
+
+    // Log message under the group's next sequence number, keeping the last limit events; returns it with its seq
+    appendEvent(groupId, message, limit) {
+        const log = this.eventLogs.get(groupId) || { seq: 0, events: [] };
+        const event = { ...cloneRecord(message), seq: log.seq + 1 };
+        this.eventLogs.set(groupId, {
+            seq: event.seq,
+            events: [...log.events, { seq: event.seq, message: event }].slice(-limit)
+        });
+        return cloneRecord(event);
+    }
+
+    // Nothing else writes to this process's memory, and fn runs synchronously
+    transaction(fn) {
+        return fn();
+    }
+
+    countGroups() {
+        return this.records.size;
+    }
+
+    // A random server secret kept with the groups, created the first time it is asked for
+    loadSecret(name) {
+        if (!this.secrets.has(name)) {
+            this.secrets.set(name, createSecret());
+        }
+        return this.secrets.get(name);
+    }
+
+    close() {}
+}
+
+// Stores every group in a single JSON file, written atomically after a short debounce
+class JsonFileStorage extends MemoryStorage {
+    constructor(filePath, writeDelay = 1000) {
+        super();
+        this.filePath = filePath;
+        this.writeDelay = writeDelay;
+        this.writeTimer = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return 0;
+        }
+
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (contents.groups || []).forEach(record => {
+            this.records.set(record.id, withoutEventLog(record));
+            this.eventLogs.set(record.id, { seq: record.seq || 0, events: record.events || [] });
+        });
+        Object.entries(contents.secrets || {}).forEach(([name, secret]) => {
+            this.secrets.set(name, secret);
+        });
+
+        return this.records.size;
+    }
+
+    saveGroup(record) {
+        super.saveGroup(record);
+        this.scheduleWrite();
+    }
+
+    deleteGroup(groupId) {
+        super.deleteGroup(groupId);
+        this.scheduleWrite();
+    }
+
+    appendEvent(groupId, message, limit) {
+        const event = super.appendEvent(groupId, message, limit);
+        this.scheduleWrite();
+        return event;
+    }
+
+    loadSecret(name) {
+        const created = !this.secrets.has(name);
+        const secret = super.loadSecret(name);
+        if (created) this.scheduleWrite();
+        return secret;
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            try {
+                this.flush();
+            } catch (error) {
+                console.error(`Failed to write group storage to ${this.filePath}:`, error);
+            }
+        }, this.writeDelay);
+        this.writeTimer.unref();
+    }
+
+    flush() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        // Write to a temp file first so a crash never leaves a half-written store
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: 1,
+            groups: Array.from(this.records.keys(), groupId => this.getGroup(groupId)),
+            secrets: Object.fromEntries(this.secrets)
+        }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    close() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+        }
+        this.flush();
+    }
+}
+
+// Stores each group as a row in an embedded SQLite database (requires better-sqlite3)
+class SqliteStorage {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    load() {
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS groups (
+                id TEXT PRIMARY KEY,
+                created INTEGER NOT NULL,
+                updated INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS secrets (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS group_seq (
+                group_id TEXT PRIMARY KEY,
+                seq INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS group_events (
+                group_id TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                message TEXT NOT NULL,
+                PRIMARY KEY (group_id, seq)
+            )
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT data FROM groups WHERE id = ?'),
+            save: this.db.prepare(`
+                INSERT INTO groups (id, created, updated, data) VALUES (@id, @created, @updated, @data)
+                ON CONFLICT(id) DO UPDATE SET updated = excluded.updated, data = excluded.data
+            `),
+            delete: this.db.prepare('DELETE FROM groups WHERE id = ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM groups'),
+            // Instances sharing the database race to create a secret; the first one's sticks
+            createSecret: this.db.prepare('INSERT OR IGNORE INTO secrets (name, value) VALUES (?, ?)'),
+            getSecret: this.db.prepare('SELECT value FROM secrets WHERE name = ?'),
+            getSeq: this.db.prepare('SELECT seq FROM group_seq WHERE group_id = ?'),
+            setSeq: this.db.prepare('INSERT OR IGNORE INTO group_seq (group_id, seq) VALUES (?, ?)'),
+            nextSeq: this.db.prepare(`
+                INSERT INTO group_seq (group_id, seq) VALUES (?, 1)
+                ON CONFLICT(group_id) DO UPDATE SET seq = seq + 1
+                RETURNING seq
+            `),
+            getEvents: this.db.prepare('SELECT message FROM group_events WHERE group_id = ? ORDER BY seq'),
+            addEvent: this.db.prepare('INSERT INTO group_events (group_id, seq, message) VALUES (?, ?, ?)'),
+            trimEvents: this.db.prepare('DELETE FROM group_events WHERE group_id = ? AND seq <= ?'),
+            deleteSeq: this.db.prepare('DELETE FROM group_seq WHERE group_id = ?'),
+            deleteEvents: this.db.prepare('DELETE FROM group_events WHERE group_id = ?')
+        };
+
+        // Instances append to the same log, so each append takes the write lock before reading the sequence number
+        this.appendEventTransaction = this.db.transaction((groupId, message, limit) => {
+            const { seq } = this.statements.nextSeq.get(groupId);
+            const event = { ...message, seq };
+            this.statements.addEvent.run(groupId, seq, JSON.stringify(event));
+            this.statements.trimEvents.run(groupId, seq - limit);
+            return event;
+        });
+        // Read in one transaction so the sequence number and the events match
+        this.readEventLogTransaction = this.db.transaction(groupId => {
+            const row = this.statements.getSeq.get(groupId);
+            return {
+                seq: row ? row.seq : 0,
+                events: this.statements.getEvents.all(groupId).map(event => {
+                    const message = JSON.parse(event.message);
+                    return { seq: message.seq, message };
+                })
+            };
+        });
+        this.migrateEventLogs();
+
+        return this.countGroups();
+    }
+
+    // Groups stored before the event log had its own tables kept it in their record
+    migrateEventLogs() {
+        const rows = this.db.prepare('SELECT id, data FROM groups WHERE id NOT IN (SELECT group_id FROM group_seq)').all();
+        const update = this.db.prepare('UPDATE groups SET data = ? WHERE id = ?');
+        this.db.transaction(() => {
+            rows.forEach(row => {
+                const record = JSON.parse(row.data);
+                this.statements.setSeq.run(row.id, record.seq || 0);
+                (record.events || []).forEach(event => {
+                    this.statements.addEvent.run(row.id, event.seq, JSON.stringify(event.message));
+                });
+                update.run(JSON.stringify(withoutEventLog(record)), row.id);
+            });
+        }).immediate();
+    }
+
+    getGroup(groupId) {
+        const row = this.statements.get.get(groupId);
+        return row ? { ...JSON.parse(row.data), ...this.getEventLog(groupId) } : null;
+    }
+
+    saveGroup(record) {
+        this.statements.save.run({
+            id: record.id,
+            created: record.created || Date.now(),
+            updated: Date.now(),
+            data: JSON.stringify(withoutEventLog(record))
+        });
+    }
+
+    deleteGroup(groupId) {
+        this.db.transaction(() => {
+            this.statements.delete.run(groupId);
+            this.statements.deleteSeq.run(groupId);
+            this.statements.deleteEvents.run(groupId);
+        })();
+    }
+
+    getEventLog(groupId) {
+        return this.readEventLogTransaction(groupId);
+    }
+
+    appendEvent(groupId, message, limit) {
+        return this.appendEventTransaction.immediate(groupId, message, limit);
+    }
+
+    // Takes the write lock up front, so no other process saves between fn's reads and writes
+    transaction(fn) {
+        return this.db.transaction(fn).immediate();
+    }
+
+    countGroups() {
+        return this.statements.count.get().count;
+    }
+
+    loadSecret(name) {
+        this.statements.createSecret.run(name, createSecret());
+        return this.statements.getSecret.get(name).value;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// Build a storage backend from config: type is 'memory', 'json' or 'sqlite'
+function createStorage({ type = 'json', filePath } = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'json':
+            return new JsonFileStorage(filePath || path.join(__dirname, '..', 'data', 'groups.json'));
+        case 'sqlite':
+            return new SqliteStorage(filePath || path.join(__dirname, '..', 'data', 'groups.db'));
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    MemoryStorage,
+    JsonFileStorage,
+    SqliteStorage
+};
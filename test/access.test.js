@@ -0,0 +1,54 @@
+// Tab Orchestra group access control
+// Open, passphrase and invite-only groups, and invite tokens that are signed per group and expire
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGroupAccess, createInviteToken, checkGroupAccess } = require('../server/access');
+
+test('each access mode asks for its own credentials', () => {
+    assert.strictEqual(checkGroupAccess(createGroupAccess(), 'g', {}), null);
+    assert.strictEqual(checkGroupAccess(undefined, 'g'), null);
+
+    const passphrase = createGroupAccess('open sesame');
+    assert.strictEqual(passphrase.mode, 'passphrase');
+    assert.ok(!JSON.stringify(passphrase).includes('open sesame'));
+    assert.strictEqual(checkGroupAccess(passphrase, 'g', {}), 'passphrase_required');
+    assert.strictEqual(checkGroupAccess(passphrase, 'g', { passphrase: 'open barley' }), 'invalid_passphrase');
+    assert.strictEqual(checkGroupAccess(passphrase, 'g', { passphrase: 'open sesame' }), null);
+
+    const invite = createGroupAccess(null, true);
+    assert.strictEqual(invite.mode, 'invite');
+    assert.strictEqual(checkGroupAccess(invite, 'g', { passphrase: 'open sesame' }), 'invite_required');
+});
+
+test('an invite lets in only to the group it was signed for', () => {
+    const access = createGroupAccess('open sesame');
+    const token = createInviteToken(access, 'g');
+
+    // An invite stands in for the passphrase
+    assert.strictEqual(checkGroupAccess(access, 'g', { inviteToken: token }), null);
+    assert.strictEqual(checkGroupAccess(access, 'other', { inviteToken: token }), 'invalid_invite');
+    assert.strictEqual(checkGroupAccess(createGroupAccess('open sesame'), 'g', { inviteToken: token }), 'invalid_invite');
+
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, g: 'other' })).toString('base64url');
+    assert.strictEqual(checkGroupAccess(access, 'other', { inviteToken: `${forged}.${signature}` }), 'invalid_invite');
+    assert.strictEqual(checkGroupAccess(access, 'g', { inviteToken: payload }), 'invalid_invite');
+});
+
+test('invites expire, and their lifetime is kept between a minute and 30 days', t => {
+    const access = createGroupAccess(null, true);
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+
+    const expiry = token => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8')).exp;
+    assert.strictEqual(expiry(createInviteToken(access, 'g', 1)), 60 * 1000);
+    assert.strictEqual(expiry(createInviteToken(access, 'g', 365 * 24 * 60 * 60)), 30 * 24 * 60 * 60 * 1000);
+    assert.strictEqual(expiry(createInviteToken(access, 'g')), 7 * 24 * 60 * 60 * 1000);
+
+    const token = createInviteToken(access, 'g', 3600);
+    t.mock.timers.tick(3600 * 1000 - 1);
+    assert.strictEqual(checkGroupAccess(access, 'g', { inviteToken: token }), null);
+    t.mock.timers.tick(1);
+    assert.strictEqual(checkGroupAccess(access, 'g', { inviteToken: token }), 'invalid_invite');
+});
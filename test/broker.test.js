@@ -0,0 +1,148 @@
+// Tab Orchestra Redis broker
+// Runs RedisBroker against the stand-in server in server/resp-server.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { RedisBroker, InProcessBroker, parseReply } = require('../server/broker');
+const { createRespServer } = require('../server/resp-server');
+const { createStorage } = require('../server/storage');
+const { loadLimits } = require('../server/limits');
+const { loadEndpoint } = require('../server/endpoint');
+const { TabOrchestraServer } = require('../server');
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${server.address().port}`)));
+}
+
+async function waitFor(check, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('parseReply reads complete values and waits for partial ones', () => {
+    const buffer = Buffer.from('*3\r\n$7\r\nmessage\r\n$2\r\nch\r\n:5\r\n');
+    assert.deepStrictEqual(parseReply(buffer), { value: ['message', 'ch', 5], offset: buffer.length });
+    assert.strictEqual(parseReply(buffer.subarray(0, 20)), null);
+    assert.throws(() => parseReply(Buffer.from('!oops\r\n')), /Unexpected RESP reply type/);
+});
+
+test('messages published on one broker reach subscribers on another', async t => {
+    const server = createRespServer();
+    const url = await listen(server);
+    const [sender, receiver] = [new RedisBroker(url), new RedisBroker(url)];
+    t.after(() => {
+        sender.close();
+        receiver.close();
+        server.close();
+    });
+
+    const received = [];
+    receiver.subscribe('group', message => received.push(message));
+    await waitFor(() => receiver.subscriber.connected);
+
+    // A subscription lands asynchronously, so keep publishing until one gets through
+    await waitFor(() => {
+        sender.publish('group', { n: received.length });
+        return received.length > 0;
+    });
+    assert.deepStrictEqual(received[0], { n: 0 });
+});
+
+test('a failing handler does not keep the message from other handlers', async t => {
+    t.mock.method(console, 'error', () => {});
+    const server = createRespServer();
+    const url = await listen(server);
+    const broker = new RedisBroker(url);
+    t.after(() => {
+        broker.close();
+        server.close();
+    });
+
+    const received = [];
+    broker.subscribe('group', () => {
+        throw new Error('handler failed');
+    });
+    broker.subscribe('group', message => received.push(message));
+    await waitFor(() => {
+        broker.publish('group', { ok: true });
+        return received.length > 0;
+    });
+    assert.deepStrictEqual(received[0], { ok: true });
+});
+
+test('an unreadable reply drops the connection and the broker reconnects', async t => {
+    t.mock.method(console, 'error', () => {});
+    const server = createRespServer();
+    let connections = 0;
+    // The first connections get a reply no Redis server would send
+    server.on('connection', socket => {
+        connections += 1;
+        if (connections <= 2) socket.write('!garbage\r\n');
+    });
+    const url = await listen(server);
+    const broker = new RedisBroker(url);
+    t.after(() => {
+        broker.close();
+        server.close();
+    });
+
+    const received = [];
+    broker.subscribe('group', message => received.push(message));
+    await waitFor(() => connections > 2);
+    await waitFor(() => {
+        broker.publish('group', { after: 'reconnect' });
+        return received.length > 0;
+    });
+    assert.deepStrictEqual(received[0], { after: 'reconnect' });
+});
+
+// A server instance on a free port, sharing storage and broker with the others
+function startInstance(t, storage, broker) {
+    const server = new TabOrchestraServer(0, storage, loadLimits({}), broker, loadEndpoint({}));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return new Promise(resolve => server.server.once('listening', () => resolve(server.server.address().port)));
+}
+
+// A connected extension stand-in; received holds every message after the welcome
+function connectClient(port) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/?protocol=2`);
+    const received = [];
+    ws.on('message', data => received.push(JSON.parse(data)));
+    return new Promise(resolve => ws.on('open', () => resolve({
+        received,
+        send: message => ws.send(JSON.stringify(message)),
+        close: () => ws.close()
+    })));
+}
+
+test('instances sharing storage keep each other\'s changes to a group', async t => {
+    t.mock.method(console, 'log', () => {});
+    const storage = createStorage({ type: 'memory' });
+    const broker = new InProcessBroker();
+    const [first, second] = await Promise.all([startInstance(t, storage, broker), startInstance(t, storage, broker)]);
+
+    const alice = await connectClient(first);
+    const bob = await connectClient(second);
+    t.after(() => {
+        alice.close();
+        bob.close();
+    });
+    alice.send({ type: 'create_group', groupId: 'g', profile: { displayName: 'Alice' } });
+    await waitFor(() => alice.received.some(message => message.type === 'group_joined'));
+    bob.send({ type: 'join_group', groupId: 'g', profile: { displayName: 'Bob' } });
+    await waitFor(() => bob.received.some(message => message.type === 'group_joined'));
+
+    // Both instances hold the group in memory and change it in the same tick
+    alice.send({ type: 'share_tab', groupId: 'g', data: { url: 'https://a.example/', title: 'A' } });
+    bob.send({ type: 'share_tab', groupId: 'g', data: { url: 'https://b.example/', title: 'B' } });
+    const shared = client => client.received.filter(message => message.type === 'tab_shared').length;
+    await waitFor(() => shared(alice) === 2 && shared(bob) === 2);
+
+    const record = storage.getGroup('g');
+    assert.deepStrictEqual(record.sharedTabs.map(tab => tab.url).sort(), ['https://a.example/', 'https://b.example/']);
+    assert.deepStrictEqual(record.events.map(event => event.message.type), ['tab_shared', 'tab_shared']);
+});
@@ -0,0 +1,69 @@
+// Tab Orchestra server tokens
+// Where clients may present the token, and a server started with SERVER_TOKENS turning away the rest
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const { loadEndpoint, checkServerToken, readSocketToken, selectSubprotocol } = require('../server/endpoint');
+const { SUBPROTOCOL, tokenSubprotocol } = require('../protocol');
+
+const TOKEN = 'sëcret/+=';
+
+test('the token is read from the header or a subprotocol, never the URL', () => {
+    const endpoint = loadEndpoint({ SERVER_TOKENS: `other, ${TOKEN}` });
+    const request = headers => ({ url: `/?token=${encodeURIComponent(TOKEN)}`, headers });
+
+    assert.strictEqual(readSocketToken(request({ 'x-server-token': TOKEN })), TOKEN);
+    assert.strictEqual(readSocketToken(request({ 'sec-websocket-protocol': `${SUBPROTOCOL}, ${tokenSubprotocol(TOKEN)}` })), TOKEN);
+    assert.strictEqual(readSocketToken(request({})), undefined);
+    assert.ok(checkServerToken(endpoint, readSocketToken(request({ 'x-server-token': TOKEN }))));
+    assert.ok(!checkServerToken(endpoint, readSocketToken(request({}))));
+});
+
+test('the handshake answers with the Tab Talk subprotocol and never echoes the token', () => {
+    assert.strictEqual(selectSubprotocol(new Set([SUBPROTOCOL, tokenSubprotocol(TOKEN)])), SUBPROTOCOL);
+    assert.strictEqual(selectSubprotocol(new Set([tokenSubprotocol(TOKEN)])), false);
+});
+
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Resolves with the close code, or 'open' once the server's welcome message arrives
+function connect(url, protocols) {
+    return new Promise(resolve => {
+        const socket = new WebSocket(url, protocols);
+        socket.on('message', data => {
+            if (JSON.parse(data).type !== 'welcome') return;
+            resolve({ result: 'open', protocol: socket.protocol });
+            socket.close();
+        });
+        socket.on('close', code => resolve({ result: code }));
+        socket.on('error', () => {});
+    });
+}
+
+test('a server with SERVER_TOKENS takes the token as a subprotocol and refuses it in the query', async t => {
+    const port = await freePort();
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), STORAGE_TYPE: 'memory', SERVER_TOKENS: TOKEN },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    t.after(() => server.kill());
+    await new Promise(resolve => server.stdout.on('data', chunk => {
+        if (String(chunk).includes('running on port')) resolve();
+    }));
+
+    const url = `ws://127.0.0.1:${port}/?protocol=2`;
+    assert.deepStrictEqual(await connect(url, [SUBPROTOCOL, tokenSubprotocol(TOKEN)]), { result: 'open', protocol: SUBPROTOCOL });
+    assert.deepStrictEqual(await connect(`${url}&token=${encodeURIComponent(TOKEN)}`, [SUBPROTOCOL]), { result: 4003 });
+    assert.deepStrictEqual(await connect(url, [SUBPROTOCOL, tokenSubprotocol('wrong')]), { result: 4003 });
+});
@@ -0,0 +1,51 @@
+// Tab Talk encrypted groups
+// Sealing and opening payloads, and handing a rotated secret to the members who stay
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GroupCrypto = require('../group-crypto');
+
+test('a sealed payload opens with its epoch\'s key, in its own group only', async () => {
+    const secret = GroupCrypto.generateGroupSecret();
+    const key = await GroupCrypto.deriveGroupKey(secret, 'g', 1);
+    const payload = { url: 'https://example.com/', title: 'Example' };
+
+    const envelope = await GroupCrypto.seal(key, 'g', 1, payload);
+    assert.strictEqual(envelope.epoch, 1);
+    assert.ok(!envelope.data.includes('example'));
+    assert.deepStrictEqual(await GroupCrypto.open(key, 'g', envelope), payload);
+
+    // The group and epoch are authenticated along with the data
+    await assert.rejects(GroupCrypto.open(key, 'other', envelope));
+    await assert.rejects(GroupCrypto.open(key, 'g', { ...envelope, epoch: 2 }));
+    await assert.rejects(GroupCrypto.open(await GroupCrypto.deriveGroupKey(secret, 'g', 2), 'g', envelope));
+});
+
+test('after a rotation, remaining members read new and old payloads and a removed member can\'t read new ones', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const alice = await GroupCrypto.generateMemberKeyPair();
+    const bob = await GroupCrypto.generateMemberKeyPair();
+    const removed = await GroupCrypto.generateMemberKeyPair();
+
+    const firstSecret = GroupCrypto.generateGroupSecret();
+    const before = await GroupCrypto.seal(await GroupCrypto.deriveGroupKey(firstSecret, 'g', 1), 'g', 1, { note: 'before' });
+
+    // Alice rotates the key for everyone but the removed member
+    const secret = GroupCrypto.generateGroupSecret();
+    const rotation = await GroupCrypto.wrapSecret(secret, 'g', 2, { alice: alice.publicKey, bob: bob.publicKey, broken: 'AAAA' });
+    // A member with a broken key is skipped, not a reason to give up
+    assert.deepStrictEqual(Object.keys(rotation.wrappedKeys).sort(), ['alice', 'bob']);
+    assert.strictEqual(console.warn.mock.callCount(), 1);
+    const after = await GroupCrypto.seal(await GroupCrypto.deriveGroupKey(secret, 'g', 2), 'g', 2, { note: 'after' });
+
+    const unwrapped = await GroupCrypto.unwrapSecret(rotation, 'g', 'bob', bob.privateKey);
+    assert.strictEqual(unwrapped, secret);
+    assert.deepStrictEqual(await GroupCrypto.open(await GroupCrypto.deriveGroupKey(unwrapped, 'g', 2), 'g', after), { note: 'after' });
+    // Payloads from before the rotation still open with the earlier epoch's secret
+    assert.deepStrictEqual(await GroupCrypto.open(await GroupCrypto.deriveGroupKey(firstSecret, 'g', 1), 'g', before), { note: 'before' });
+
+    assert.strictEqual(await GroupCrypto.unwrapSecret(rotation, 'g', 'removed', removed.privateKey), null);
+    // Someone else's wrapped key is no use without their private key
+    await assert.rejects(GroupCrypto.unwrapSecret({ ...rotation, wrappedKeys: { removed: rotation.wrappedKeys.bob } }, 'g', 'removed', removed.privateKey));
+    await assert.rejects(GroupCrypto.open(await GroupCrypto.deriveGroupKey(firstSecret, 'g', 2), 'g', after));
+});
@@ -0,0 +1,88 @@
+// Tab Orchestra abuse protection
+// Token buckets per client and group, strikes turning into bans, and limits read from the environment
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_LIMITS, loadLimits, AbuseGuard } = require('../server/limits');
+
+function createGuard(t, overrides) {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    return new AbuseGuard({ ...DEFAULT_LIMITS, ...overrides });
+}
+
+test('a client spends its burst, then waits for the bucket to refill', t => {
+    const guard = createGuard(t, { clientMessagesPerMinute: 60, clientBurst: 2 });
+
+    assert.strictEqual(guard.takeMessage('a'), 0);
+    assert.strictEqual(guard.takeMessage('a'), 0);
+    assert.strictEqual(guard.takeMessage('a'), 1000);
+    // Other clients have buckets of their own
+    assert.strictEqual(guard.takeMessage('b'), 0);
+
+    t.mock.timers.tick(500);
+    assert.strictEqual(guard.takeMessage('a'), 500);
+    t.mock.timers.tick(500);
+    assert.strictEqual(guard.takeMessage('a'), 0);
+    assert.strictEqual(guard.getStats().rateLimitedMessages, 2);
+});
+
+test('a group\'s budget is shared by everyone posting to it', t => {
+    const guard = createGuard(t, { groupEventsPerMinute: 60, groupBurst: 1 });
+
+    assert.strictEqual(guard.takeMessage('a', ['g']), 0);
+    assert.strictEqual(guard.takeMessage('b', ['g']), 1000);
+    assert.strictEqual(guard.takeMessage('b', ['other']), 0);
+    // A message for several groups is refused when any one of them is out of budget
+    assert.strictEqual(guard.takeMessage('c', ['fresh', 'g']), 1000);
+});
+
+test('too many strikes within a minute ban the address for a while', t => {
+    const guard = createGuard(t, { strikesBeforeBan: 3, banDurationMs: 10000 });
+
+    assert.strictEqual(guard.recordStrike('1.2.3.4'), 0);
+    t.mock.timers.tick(60000);
+    // The first strike has aged out of the window
+    assert.strictEqual(guard.recordStrike('1.2.3.4'), 0);
+    assert.strictEqual(guard.recordStrike('1.2.3.4'), 0);
+    assert.strictEqual(guard.banRemaining('1.2.3.4'), 0);
+    assert.strictEqual(guard.recordStrike('1.2.3.4'), 10000);
+
+    assert.deepStrictEqual(guard.admitConnection('1.2.3.4'), { code: 'banned', retryAfter: 10000 });
+    assert.strictEqual(guard.admitConnection('5.6.7.8'), null);
+    assert.deepStrictEqual(guard.getStats(), {
+        rateLimitedMessages: 0,
+        oversizedMessages: 0,
+        rejectedConnections: 1,
+        bans: 1,
+        activeBans: 1,
+        openConnections: 1
+    });
+
+    t.mock.timers.tick(10000);
+    assert.strictEqual(guard.banRemaining('1.2.3.4'), 0);
+    assert.strictEqual(guard.admitConnection('1.2.3.4'), null);
+});
+
+test('connections are capped per address and in total', t => {
+    const guard = createGuard(t, { maxConnections: 3, maxConnectionsPerIp: 2 });
+
+    assert.strictEqual(guard.admitConnection('a'), null);
+    assert.strictEqual(guard.admitConnection('a'), null);
+    assert.deepStrictEqual(guard.admitConnection('a'), { code: 'too_many_connections' });
+    assert.strictEqual(guard.admitConnection('b'), null);
+    assert.deepStrictEqual(guard.admitConnection('c'), { code: 'too_many_connections' });
+
+    guard.releaseConnection('a');
+    assert.strictEqual(guard.admitConnection('c'), null);
+});
+
+test('limits come from the environment, and invalid values keep the default', t => {
+    t.mock.method(console, 'warn', () => {});
+    const limits = loadLimits({ CLIENT_BURST: '5', GROUP_BURST: '-1', MAX_STRING_LENGTH: 'lots', TRUST_PROXY: '1' });
+
+    assert.strictEqual(limits.clientBurst, 5);
+    assert.strictEqual(limits.groupBurst, DEFAULT_LIMITS.groupBurst);
+    assert.strictEqual(limits.maxStringLength, DEFAULT_LIMITS.maxStringLength);
+    assert.strictEqual(limits.trustProxy, true);
+    assert.strictEqual(console.warn.mock.callCount(), 2);
+});
@@ -0,0 +1,47 @@
+// Tab Talk WebSocket protocol
+// What validateClientMessage turns away, with the code and details the server sends back
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateClientMessage, validateServerMessage, ERROR_CODES } = require('../protocol');
+
+test('messages without a known type are unknown_type, or invalid_message without any type', () => {
+    assert.deepStrictEqual(validateClientMessage({ type: 'drop_tables' }), {
+        code: 'unknown_type',
+        details: ['type: drop_tables is not a known message']
+    });
+    // Server messages are not client messages
+    assert.strictEqual(validateClientMessage({ type: 'group_joined', groupId: 'g' }).code, 'unknown_type');
+
+    for (const message of [null, 'share_tab', [], {}, { type: 7 }]) {
+        assert.deepStrictEqual(validateClientMessage(message), { code: 'invalid_message', details: ['type: is required'] });
+    }
+});
+
+test('fields missing or of the wrong type are invalid_message, with a detail for each', () => {
+    assert.deepStrictEqual(validateClientMessage({ type: 'share_tab', groupId: 3, data: { url: 'ftp://example.com/', title: [] } }), {
+        code: 'invalid_message',
+        details: ['groupId: must be a string', 'data.url: must be an http(s) URL', 'data.title: must be a string']
+    });
+    assert.deepStrictEqual(validateClientMessage({ type: 'chat_message', groupId: 'g' }), {
+        code: 'invalid_message',
+        details: ['thread: is required']
+    });
+    assert.deepStrictEqual(validateClientMessage({ type: 'heartbeat', messageId: 1 }), {
+        code: 'invalid_message',
+        details: ['messageId: must be a string']
+    });
+    assert.deepStrictEqual(validateClientMessage({ type: 'share_tab', groupIds: Array(21).fill('g'), data: { url: 'https://example.com/' } }), {
+        code: 'invalid_message',
+        details: ['groupIds: must list at most 20 groups']
+    });
+});
+
+test('optional and unknown fields pass, and every code has a message for users', () => {
+    assert.strictEqual(validateClientMessage({ type: 'share_tab', groupId: 'g', data: { url: 'https://example.com/' }, addedLater: true }), null);
+    assert.strictEqual(validateServerMessage({ type: 'error', code: 'rate_limited', message: ERROR_CODES.rate_limited, retryAfter: 1000 }), null);
+
+    ['invalid_json', 'unknown_type', 'invalid_message', 'payload_too_large', 'rate_limited'].forEach(code => {
+        assert.strictEqual(typeof ERROR_CODES[code], 'string');
+    });
+});
@@ -0,0 +1,63 @@
+// Tab Orchestra group roles
+// Who may moderate whom, who may hand out which role, and what locked groups and read-only members may do
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRole, checkContribute, checkJoin, canModerate, assignRole } = require('../server/roles');
+
+// owner, two moderators, a member and a read-only member
+function createGroup() {
+    return {
+        owner: 'owner',
+        roles: { mod: 'moderator', mod2: 'moderator', reader: 'readonly' },
+        bans: {},
+        knownMembers: {},
+        locked: false
+    };
+}
+
+test('each role moderates only the roles below it', () => {
+    const group = createGroup();
+
+    assert.ok(canModerate(group, 'owner', 'mod'));
+    assert.ok(canModerate(group, 'mod', 'member'));
+    assert.ok(canModerate(group, 'mod', 'reader'));
+    assert.ok(!canModerate(group, 'mod', 'mod2'));
+    assert.ok(!canModerate(group, 'mod', 'owner'));
+    assert.ok(!canModerate(group, 'member', 'reader'));
+    assert.ok(!canModerate(group, 'owner', 'owner'));
+});
+
+test('only the owner makes or unmakes moderators, and ownership can\'t be handed out', () => {
+    const group = createGroup();
+
+    assert.deepStrictEqual(assignRole(group, 'mod', 'member', 'moderator'), { error: 'forbidden' });
+    assert.deepStrictEqual(assignRole(group, 'mod', 'mod2', 'member'), { error: 'forbidden' });
+    assert.deepStrictEqual(assignRole(group, 'owner', 'member', 'owner'), { error: 'invalid_role' });
+    assert.deepStrictEqual(assignRole(group, 'member', 'reader', 'member'), { error: 'forbidden' });
+
+    assert.deepStrictEqual(assignRole(group, 'mod', 'member', 'readonly'), { role: 'readonly' });
+    assert.strictEqual(getRole(group, 'member'), 'readonly');
+    assert.deepStrictEqual(assignRole(group, 'owner', 'mod2', 'member'), { role: 'member' });
+    // Members have no role stored
+    assert.ok(!('mod2' in group.roles));
+    assert.deepStrictEqual(assignRole(group, 'owner', 'reader', 'moderator'), { role: 'moderator' });
+    assert.strictEqual(getRole(group, 'reader'), 'moderator');
+});
+
+test('read-only members and locked groups keep out new content and new people', () => {
+    const group = createGroup();
+    group.knownMembers = { member: true };
+    group.bans = { banned: Date.now() };
+
+    assert.strictEqual(checkContribute(group, 'reader'), 'read_only');
+    assert.strictEqual(checkContribute(group, 'member'), null);
+    assert.strictEqual(checkJoin(group, 'banned'), 'banned');
+    assert.strictEqual(checkJoin(group, 'newcomer'), null);
+
+    group.locked = true;
+    assert.strictEqual(checkContribute(group, 'member'), 'group_locked');
+    assert.strictEqual(checkContribute(group, 'mod'), null);
+    assert.strictEqual(checkJoin(group, 'newcomer'), 'group_locked');
+    assert.strictEqual(checkJoin(group, 'member'), null);
+});
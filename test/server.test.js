@@ -0,0 +1,152 @@
+// Tab Orchestra server
+// Runs a server on a free port and talks to it the way the extension does
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { createStorage } = require('../server/storage');
+const { loadLimits } = require('../server/limits');
+const { createBroker } = require('../server/broker');
+const { loadEndpoint } = require('../server/endpoint');
+const { TabOrchestraServer } = require('../server');
+const { clusterId } = require('../protocol');
+
+async function waitFor(check, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// A quiet server with the given limits (as environment variables); resolves with its port
+function startServer(t, limitEnv = {}) {
+    t.mock.method(console, 'log', () => {});
+    const server = new TabOrchestraServer(0, createStorage({ type: 'memory' }), loadLimits(limitEnv), createBroker(), loadEndpoint({}));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return new Promise(resolve => server.server.once('listening', () => resolve(server.server.address().port)));
+}
+
+// An extension stand-in; received holds every message the server sent it
+async function connectClient(t, port) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/?protocol=2`);
+    const received = [];
+    ws.on('message', data => received.push(JSON.parse(data)));
+    await new Promise(resolve => ws.on('open', resolve));
+    t.after(() => ws.close());
+
+    const client = {
+        received,
+        send: message => ws.send(JSON.stringify(message)),
+        close: () => new Promise(resolve => {
+            ws.once('close', resolve);
+            ws.close();
+        }),
+        // The first message of a type, once it arrives
+        next: async (type, since = 0) => {
+            await waitFor(() => received.slice(since).some(message => message.type === type));
+            return received.slice(since).find(message => message.type === type);
+        }
+    };
+    client.welcome = await client.next('welcome');
+    return client;
+}
+
+test('a session resumes only with its own token, and replays what it missed', async t => {
+    const port = await startServer(t);
+    const away = await connectClient(t, port);
+    const stayer = await connectClient(t, port);
+    away.send({ type: 'create_group', groupId: 'g', profile: { displayName: 'Away' } });
+    await away.next('group_joined');
+    stayer.send({ type: 'join_group', groupId: 'g', profile: { displayName: 'Stayer' } });
+    await stayer.next('group_joined');
+    away.send({ type: 'share_tab', groupId: 'g', data: { url: 'https://example.com/seen' } });
+    const seen = await away.next('tab_shared');
+    await away.close();
+
+    stayer.send({ type: 'share_tab', groupId: 'g', data: { url: 'https://example.com/missed' } });
+    await stayer.next('tab_shared');
+
+    const stranger = await connectClient(t, port);
+    stranger.send({ type: 'resume_session', sessionToken: 'not-a-session', lastSeq: { g: seen.seq } });
+    await stranger.next('session_expired');
+    assert.ok(!stranger.received.some(message => message.type === 'session_resumed' || message.groupId === 'g'));
+
+    const back = await connectClient(t, port);
+    back.send({ type: 'resume_session', sessionToken: away.welcome.sessionToken, lastSeq: { g: seen.seq } });
+    const resumed = await back.next('session_resumed');
+    assert.strictEqual(resumed.clientId, away.welcome.clientId);
+    assert.deepStrictEqual(resumed.groups, ['g']);
+    const missed = await back.next('tab_shared');
+    assert.strictEqual(missed.data.url, 'https://example.com/missed');
+    assert.ok(!back.received.some(message => message.type === 'group_data'));
+});
+
+test('messages for groups the sender isn\'t in don\'t spend those groups\' budget', async t => {
+    const port = await startServer(t, { GROUP_BURST: '2', GROUP_EVENTS_PER_MINUTE: '1' });
+    const member = await connectClient(t, port);
+    const outsider = await connectClient(t, port);
+    member.send({ type: 'create_group', groupId: 'g', profile: { displayName: 'Member' } });
+    await member.next('group_joined');
+
+    for (let i = 0; i < 5; i++) {
+        outsider.send({ type: 'share_tab', groupId: 'g', data: { url: `https://example.com/${i}` } });
+    }
+    await waitFor(() => outsider.received.filter(message => message.type === 'action_rejected').length === 5);
+
+    member.send({ type: 'share_tab', groupId: 'g', data: { url: 'https://example.com/member' } });
+    const shared = await member.next('tab_shared');
+    assert.strictEqual(shared.data.url, 'https://example.com/member');
+});
+
+test('a message may target only so many groups', async t => {
+    const port = await startServer(t);
+    const client = await connectClient(t, port);
+    const groupIds = Array.from({ length: 21 }, (_, i) => `g${i}`);
+
+    client.send({ type: 'share_tab', groupIds, data: { url: 'https://example.com/' } });
+    const error = await client.next('error');
+    assert.strictEqual(error.code, 'invalid_message');
+    assert.deepStrictEqual(error.details, ['groupIds: must list at most 20 groups']);
+});
+
+test('REST shares are checked like share_tab over the socket', async t => {
+    const port = await startServer(t, { MAX_STRING_LENGTH: '100' });
+    const client = await connectClient(t, port);
+    client.send({ type: 'create_group', groupId: 'g', profile: { displayName: 'Member' } });
+    await client.next('group_joined');
+
+    const share = async body => {
+        const response = await fetch(`http://127.0.0.1:${port}/groups/g/tabs`, { method: 'POST', body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+
+    assert.deepStrictEqual(await share({ url: 'javascript:alert(1)' }), {
+        status: 400,
+        body: { error: 'invalid_message', details: ['data.url: must be an http(s) URL'] }
+    });
+    assert.deepStrictEqual(await share({ url: 'https://example.com/', displayName: 'x'.repeat(101) }), {
+        status: 400,
+        body: { error: 'payload_too_large', details: ['displayName: longer than 100 characters'] }
+    });
+
+    const { status, body } = await share({ url: 'https://example.com/', title: 'Example' });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.tab.title, 'Example');
+});
+
+test('cluster threads take only IDs made from a cluster name', async t => {
+    const port = await startServer(t);
+    const client = await connectClient(t, port);
+    client.send({ type: 'create_group', groupId: 'g', profile: { displayName: 'Member' } });
+    await client.next('group_joined');
+
+    const since = client.received.length;
+    client.send({ type: 'chat_message', groupId: 'g', thread: 'cluster:Bread Recipes', text: 'Hi' });
+    const rejected = await client.next('action_rejected', since);
+    assert.strictEqual(rejected.reason, 'invalid_thread');
+
+    client.send({ type: 'chat_message', groupId: 'g', thread: `cluster:${clusterId('Bread Recipes')}`, text: 'Hi' });
+    const message = await client.next('chat_message', since);
+    assert.strictEqual(message.thread, 'cluster:bread-recipes');
+});
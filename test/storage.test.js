@@ -0,0 +1,113 @@
+// Tab Orchestra group storage
+// Event logs in every backend, and sequence numbers when several processes share one SQLite database
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createStorage } = require('../server/storage');
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+
+function tempPath(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-orchestra-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+}
+
+function checkEventLog(storage) {
+    storage.saveGroup({ id: 'g', created: 1, sharedTabs: [], annotations: [] });
+    const first = storage.appendEvent('g', { type: 'tab_shared', groupId: 'g' }, 2);
+    storage.appendEvent('g', { type: 'tab_removed', groupId: 'g' }, 2);
+    const third = storage.appendEvent('g', { type: 'tab_shared', groupId: 'g' }, 2);
+    assert.strictEqual(first.seq, 1);
+    assert.strictEqual(third.seq, 3);
+
+    // Saving the record again, even with a stale log, leaves the stored log as it is
+    storage.saveGroup({ id: 'g', created: 1, sharedTabs: [], annotations: [], seq: 0, events: [] });
+    const record = storage.getGroup('g');
+    assert.strictEqual(record.seq, 3);
+    assert.deepStrictEqual(record.events.map(event => event.seq), [2, 3]);
+    assert.deepStrictEqual(record.events[1].message, third);
+
+    storage.deleteGroup('g');
+    assert.deepStrictEqual(storage.getEventLog('g'), { seq: 0, events: [] });
+}
+
+test('memory storage numbers and trims events', () => {
+    checkEventLog(createStorage({ type: 'memory' }));
+});
+
+test('JSON storage keeps the event log across restarts, in the file format of older versions', t => {
+    const filePath = tempPath(t, 'groups.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        version: 1,
+        groups: [{ id: 'old', seq: 4, events: [{ seq: 4, message: { type: 'tab_removed', seq: 4 } }], sharedTabs: [] }]
+    }));
+
+    const storage = createStorage({ type: 'json', filePath });
+    storage.load();
+    assert.strictEqual(storage.appendEvent('old', { type: 'tab_shared' }, 10).seq, 5);
+    storage.close();
+
+    const reloaded = createStorage({ type: 'json', filePath });
+    reloaded.load();
+    assert.deepStrictEqual(reloaded.getGroup('old').events.map(event => event.seq), [4, 5]);
+    checkEventLog(reloaded);
+    reloaded.close();
+});
+
+test('SQLite storage numbers and trims events, and moves older logs out of the record', {
+    skip: !hasSqlite && 'better-sqlite3 is not installed'
+}, t => {
+    const filePath = tempPath(t, 'groups.db');
+    const Database = require('better-sqlite3');
+    const db = new Database(filePath);
+    db.exec('CREATE TABLE groups (id TEXT PRIMARY KEY, created INTEGER NOT NULL, updated INTEGER NOT NULL, data TEXT NOT NULL)');
+    db.prepare('INSERT INTO groups VALUES (?, 1, 1, ?)').run('old', JSON.stringify({
+        id: 'old', seq: 4, events: [{ seq: 4, message: { type: 'tab_removed', seq: 4 } }], sharedTabs: []
+    }));
+    db.close();
+
+    const storage = createStorage({ type: 'sqlite', filePath });
+    storage.load();
+    t.after(() => storage.close());
+    assert.strictEqual(storage.appendEvent('old', { type: 'tab_shared' }, 10).seq, 5);
+    assert.deepStrictEqual(storage.getGroup('old').events.map(event => event.seq), [4, 5]);
+    checkEventLog(storage);
+});
+
+test('processes sharing a SQLite database never hand out the same sequence number', {
+    skip: !hasSqlite && 'better-sqlite3 is not installed'
+}, async t => {
+    const filePath = tempPath(t, 'groups.db');
+    const setup = createStorage({ type: 'sqlite', filePath });
+    setup.load();
+    setup.saveGroup({ id: 'shared', created: 1, sharedTabs: [], annotations: [] });
+    setup.close();
+
+    const appendMany = instance => new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', `
+            const storage = require(${JSON.stringify(path.join(__dirname, '..', 'server', 'storage'))})
+                .createStorage({ type: 'sqlite', filePath: ${JSON.stringify(filePath)} });
+            storage.load();
+            for (let i = 0; i < 200; i++) storage.appendEvent('shared', { instance: ${instance} }, 1000);
+            storage.close();
+        `], error => (error ? reject(error) : resolve()));
+    });
+    await Promise.all([appendMany(1), appendMany(2)]);
+
+    const storage = createStorage({ type: 'sqlite', filePath });
+    storage.load();
+    t.after(() => storage.close());
+    const { seq, events } = storage.getEventLog('shared');
+    assert.strictEqual(seq, 400);
+    assert.deepStrictEqual(events.map(event => event.seq), Array.from({ length: 400 }, (_, i) => i + 1));
+});
@@ -0,0 +1,28 @@
+// Tab Talk offline topic clustering
+// Words the clustering sees, and tabs about one topic ending up together
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, classify } = require('../topic-clustering');
+
+test('plurals are folded whatever their case', () => {
+    assert.deepStrictEqual(tokenize('Recipes, recipes and RECIPES'), ['recipe', 'recipe', 'recipe']);
+    assert.deepStrictEqual(tokenize('Kernel Releases and kernel release notes'), ['kernel', 'release', 'kernel', 'release', 'note']);
+    // Words ending in -ss, -is or -us are not plurals
+    assert.deepStrictEqual(tokenize('Glass Analysis Status'), ['glass', 'analysis', 'status']);
+    // Stopwords are dropped before folding, so "settings" doesn't come back as "setting"
+    assert.deepStrictEqual(tokenize('Account settings for recipes'), ['recipe']);
+});
+
+test('tabs about the same names cluster together', () => {
+    const tab = (id, title) => ({ id, url: `https://example.com/${id}`, title });
+    const { assignments, newClusters } = classify([], [
+        tab('a', 'Linus Torvalds interview'),
+        tab('b', 'Torvalds on kernel maintainers'),
+        tab('c', 'Sourdough bread recipes'),
+        tab('d', 'Easy bread recipes for beginners')
+    ]);
+
+    assert.deepStrictEqual(assignments, []);
+    assert.deepStrictEqual(newClusters.map(cluster => cluster.tabIds).sort(), [['a', 'b'], ['c', 'd']]);
+});
@@ -0,0 +1,197 @@
+// Tab Talk offline topic clustering
+// Groups tabs by what their titles, URL paths and summaries talk about, using TF-IDF and cosine similarity
+// It needs no network and gives the same clusters for the same tabs every time
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TopicClustering = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // How close (cosine) a tab must be to a cluster to join it, and two clusters to merge
+  const ASSIGN_THRESHOLD = 0.15;
+  const MERGE_THRESHOLD = 0.15;
+  // Titles say the most about a page, so their words count double
+  const TITLE_WEIGHT = 2;
+  const PLACEHOLDER_SUMMARY = 'No summary available';
+
+  const STOPWORDS = new Set((
+    'a about above after again against all also am an and any are as at be because been before being below between ' +
+    'both but by can could did do does doing down during each few for from further had has have having he her here ' +
+    'hers him his how i if in into is it its just me more most my new no nor not now of off on once only or other ' +
+    'our out over own same she should so some such than that the their them then there these they this those ' +
+    'through to too under until up very was we were what when where which while who whom why will with would you ' +
+    'your vs via get got use using ' +
+    // Words every site uses that say nothing about the topic
+    'http https www com org net io co uk de html htm php asp aspx index home page pages default view views ' +
+    'edit show item items id ref src amp utm search results result login signin sign account accounts user ' +
+    'users profile settings en us blog blogs post posts article articles watch wiki official site online free'
+  ).split(' '));
+
+  // Words of a piece of text: lowercased, without stopwords, numbers and ID-like noise, plurals folded
+  // Folding happens after lowercasing, so "Recipes" in a title and "recipes" in a path are one term
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && word.length <= 24 && !STOPWORDS.has(word))
+      .filter(word => !/\d/.test(word))
+      .map(word => (word.length > 4 && /[^isu]s$/.test(word) ? word.slice(0, -1) : word));
+  }
+
+  // Weighted term counts of a tab: title, site name, URL path and, when there is one, summary and excerpt
+  function termCounts(tab) {
+    const counts = new Map();
+    const add = (words, weight) => words.forEach(word => counts.set(word, (counts.get(word) || 0) + weight));
+
+    add(tokenize(tab.title), TITLE_WEIGHT);
+    try {
+      const url = new URL(tab.url);
+      const hostParts = url.hostname.replace(/^www\./, '').split('.');
+      add(tokenize(hostParts.length > 1 ? hostParts[hostParts.length - 2] : hostParts[0]), 1);
+      add(tokenize(decodeURIComponent(url.pathname)), 1);
+    } catch (error) {
+      // Tabs without a usable URL are clustered on their text alone
+    }
+    if (tab.summary && tab.summary !== PLACEHOLDER_SUMMARY) {
+      add(tokenize(tab.summary), 1);
+    }
+    add(tokenize(tab.excerpt), 1);
+    return counts;
+  }
+
+  // Unit-length TF-IDF vectors (Maps of term to weight) for tabs, with IDF taken over the same tabs
+  function vectorize(tabs) {
+    const counts = tabs.map(termCounts);
+    const documentFrequency = new Map();
+    counts.forEach(termMap => termMap.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    return counts.map(termMap => {
+      const vector = new Map();
+      termMap.forEach((count, term) => {
+        vector.set(term, count * (Math.log((1 + tabs.length) / (1 + documentFrequency.get(term))) + 1));
+      });
+      return normalize(vector);
+    });
+  }
+
+  function normalize(vector) {
+    const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    if (length > 0) {
+      vector.forEach((weight, term) => vector.set(term, weight / length));
+    }
+    return vector;
+  }
+
+  function cosine(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let sum = 0;
+    small.forEach((weight, term) => {
+      sum += weight * (large.get(term) || 0);
+    });
+    return sum;
+  }
+
+  // Summed (not normalized) vector of a set of tabs; labels are read off it
+  function sumVectors(vectors) {
+    const total = new Map();
+    vectors.forEach(vector => vector.forEach((weight, term) => total.set(term, (total.get(term) || 0) + weight)));
+    return total;
+  }
+
+  function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  // A 1-2 word name and a theme from the strongest terms of a cluster
+  // With several tabs, terms they share beat terms only one of them has
+  function labelCluster(vectors) {
+    const total = sumVectors(vectors);
+    const spread = term => vectors.filter(vector => vector.has(term)).length;
+    const terms = [...total.keys()].sort((a, b) =>
+      (spread(b) > 1) - (spread(a) > 1) || total.get(b) - total.get(a) || a.localeCompare(b));
+
+    if (terms.length === 0) {
+      return { name: 'Other', theme: 'Tabs without a recognizable topic' };
+    }
+    const [first, second] = terms;
+    const name = second && total.get(second) >= total.get(first) * 0.6 && spread(second) >= spread(first)
+      ? `${capitalize(first)} ${capitalize(second)}`
+      : capitalize(first);
+    return { name, theme: `Tabs about ${terms.slice(0, 3).join(', ')}` };
+  }
+
+  // Agglomerative clustering: keep merging the two closest clusters until none are close enough
+  // Returns arrays of indices into vectors, in order of their first member
+  function agglomerate(vectors) {
+    const clusters = vectors.map((vector, index) => ({ members: [index], centroid: vector }));
+
+    for (;;) {
+      let best = null;
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          const score = cosine(clusters[i].centroid, clusters[j].centroid);
+          if (score >= MERGE_THRESHOLD && (!best || score > best.score)) {
+            best = { i, j, score };
+          }
+        }
+      }
+      if (!best) break;
+
+      const [target, merged] = [clusters[best.i], clusters[best.j]];
+      target.members = [...target.members, ...merged.members].sort((a, b) => a - b);
+      target.centroid = normalize(sumVectors(target.members.map(index => vectors[index])));
+      clusters.splice(best.j, 1);
+    }
+
+    return clusters.map(cluster => cluster.members);
+  }
+
+  // Sort new tabs into existing clusters ([{ id, tabs }]) where one is close enough, and cluster the rest
+  // among themselves. Returns { assignments: [{ tabId, clusterId }], newClusters: [{ name, theme, tabIds }] },
+  // the same shape the AI classification has
+  function classify(clusters, newTabs) {
+    const existingTabs = clusters.flatMap(cluster => cluster.tabs);
+    const vectors = vectorize([...existingTabs, ...newTabs]);
+    const newVectors = vectors.slice(existingTabs.length);
+
+    let offset = 0;
+    const centroids = clusters.map(cluster => {
+      const centroid = normalize(sumVectors(vectors.slice(offset, offset + cluster.tabs.length)));
+      offset += cluster.tabs.length;
+      return centroid;
+    });
+
+    const assignments = [];
+    const rest = [];
+    newTabs.forEach((tab, index) => {
+      let best = null;
+      centroids.forEach((centroid, clusterIndex) => {
+        const score = cosine(newVectors[index], centroid);
+        if (score >= ASSIGN_THRESHOLD && (!best || score > best.score)) {
+          best = { clusterIndex, score };
+        }
+      });
+      if (best) {
+        assignments.push({ tabId: tab.id, clusterId: clusters[best.clusterIndex].id });
+      } else {
+        rest.push(index);
+      }
+    });
+
+    const newClusters = agglomerate(rest.map(index => newVectors[index])).map(members => ({
+      ...labelCluster(members.map(member => newVectors[rest[member]])),
+      tabIds: members.map(member => newTabs[rest[member]].id)
+    }));
+
+    return { assignments, newClusters };
+  }
+
+  return {
+    tokenize,
+    classify
+  };
+});